@@ -2,12 +2,16 @@
 const readline = require("readline");
 const fs = require("fs");
 const path = require("path");
-const { spawnSync, spawn } = require("child_process");
-const { Readable } = require("stream");
+const os = require("os");
+const { spawn } = require("child_process");
+const { PassThrough, Writable } = require("stream");
+const { AsyncLocalStorage } = require("async_hooks");
+const { StringDecoder } = require("string_decoder");
+const tty = require("tty");
 
 // Get all executables from PATH that start with prefix
 function getExecutablesFromPath(prefix) {
-  const pathEnv = process.env.PATH || "";
+  const pathEnv = (getVariable('PATH') || "");
   const directories = pathEnv.split(path.delimiter);
   const executables = new Set(); // Use Set to avoid duplicates
   const isWindows = process.platform === 'win32';
@@ -108,7 +112,7 @@ function getPathCompletions(inputPath) {
     
     // Expand ~ to home directory
     if (dir.startsWith('~')) {
-      dir = dir.replace('~', process.env.HOME || '');
+      dir = dir.replace('~', getVariable('HOME') || '');
     }
     
     // Read directory contents
@@ -249,12 +253,9 @@ function completer(line) {
   }
 }
 
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout,
-  completer: completer,
-  prompt: '$ ',
-});
+// Line editor for the prompt, created by main when interactive (a
+// script's stdin is left to the commands it runs)
+let rl = null;
 
 // Brace expansion functions
 function expandBraces(str) {
@@ -315,6 +316,26 @@ function findBracePattern(str) {
       continue;
     }
     
+    // Skip command substitutions and ${VAR} (expanded later)
+    if (char === '$' && str[i + 1] === '(') {
+      const end = findSubstitutionEnd(str, i);
+      if (end === -1) break;
+      i = end;
+      continue;
+    }
+    if (char === '$' && str[i + 1] === '{') {
+      const end = str.indexOf('}', i + 2);
+      if (end === -1) break;
+      i = end;
+      continue;
+    }
+    if (char === '`') {
+      const end = findClosingBacktick(str, i + 1);
+      if (end === -1) break;
+      i = end;
+      continue;
+    }
+    
     if (char === '{') {
       if (braceDepth === 0) {
         braceStart = i;
@@ -376,89 +397,117 @@ function expandSequence(start, end) {
   return results;
 }
 
-function expandBracesInCommand(commandLine) {
-  // Split command line by spaces while respecting quotes
-  const tokens = [];
-  let currentToken = '';
+// Expand the words of a command into its arguments: brace expansion,
+// then the expansions of expandWord on each resulting word
+async function expandWords(words) {
+  const args = [];
+  for (const word of words) {
+    for (const braceWord of expandBraces(word)) {
+      args.push(...await expandWord(braceWord));
+    }
+  }
+  return args;
+}
+
+// Expand a word: parameter, command and arithmetic substitution and quote removal
+// Unquoted parameter and command substitution results are split into separate fields
+// unless splitFields is false (as for the value of VAR=value), in which case the
+// result is always a single field. For a pattern (as in case), that field keeps
+// the glob characters that weren't quoted special and escapes the others.
+async function expandWord(word, splitFields = true, pattern = false) {
+  const fields = [];
+  let currentArg = '';
   let inSingleQuote = false;
   let inDoubleQuote = false;
-  let escaped = false;
+  // Quotes make a field even if it ends up empty ("" is an empty argument)
+  let quoted = false;
+  // "$@" with no positional parameters (or "${NAME[@]}" of an empty
+  // array) makes no field at all
+  let emptyAt = false;
+  // Positions of unquoted *, ? and [ in the current argument
+  let globPositions = [];
   
-  for (let i = 0; i < commandLine.length; i++) {
-    const char = commandLine[i];
-    
-    if (escaped) {
-      currentToken += char;
-      escaped = false;
-      continue;
-    }
-    
-    if (char === '\\' && !inSingleQuote) {
-      escaped = true;
-      currentToken += char;
-      continue;
-    }
-    
-    if (char === "'" && !inDoubleQuote) {
-      inSingleQuote = !inSingleQuote;
-      currentToken += char;
-    } else if (char === '"' && !inSingleQuote) {
-      inDoubleQuote = !inDoubleQuote;
-      currentToken += char;
-    } else if (char === ' ' && !inSingleQuote && !inDoubleQuote) {
-      if (currentToken) {
-        tokens.push(currentToken);
-        currentToken = '';
-      }
+  // Finish the current field, expanding it to the matching pathnames
+  // if it has unquoted glob characters
+  const finishArg = () => {
+    if (pattern) {
+      fields.push(quoteGlobCharacters(currentArg, globPositions));
+    } else if (globPositions.length > 0 && splitFields && !shell().options.noglob) {
+      fields.push(...expandPathname(currentArg, globPositions));
     } else {
-      currentToken += char;
+      fields.push(currentArg);
     }
-  }
+    currentArg = '';
+    globPositions = [];
+    quoted = false;
+  };
   
-  if (currentToken) {
-    tokens.push(currentToken);
-  }
+  // Append unquoted text, remembering where its glob characters are
+  const appendUnquoted = (text) => {
+    for (const char of text) {
+      if ('*?['.includes(char)) {
+        globPositions.push(currentArg.length);
+      }
+      currentArg += char;
+    }
+  };
   
-  // Expand braces in each token
-  const expandedTokens = [];
-  for (const token of tokens) {
-    const expanded = expandBraces(token);
-    expandedTokens.push(...expanded);
-  }
+  // Append expanded text to the current field, splitting it on
+  // whitespace into separate fields when it isn't quoted
+  const appendExpansion = (text) => {
+    if (pattern && !inDoubleQuote) {
+      appendUnquoted(text);
+      return;
+    }
+    if (inDoubleQuote || !splitFields) {
+      currentArg += text;
+      return;
+    }
+    const parts = text.split(/[ \t\n]+/);
+    parts.forEach((part, index) => {
+      if (index > 0 && currentArg.length > 0) {
+        finishArg();
+      }
+      appendUnquoted(part);
+    });
+  };
   
-  return expandedTokens.join(' ');
-}
-
-// Parse command line with quote support and redirection
-function parseCommand(commandLine) {
-  const args = [];
-  let currentArg = '';
-  let inSingleQuote = false;
-  let inDoubleQuote = false;
+  // Append each item as a separate field, as for "$@" and "${NAME[@]}"
+  const appendList = (items) => {
+    if (items.length === 0 && inDoubleQuote) {
+      emptyAt = true;
+    }
+    items.forEach((item, index) => {
+      if (index > 0 && currentArg.length > 0) {
+        finishArg();
+      }
+      appendExpansion(item);
+    });
+  };
   
-  for (let i = 0; i < commandLine.length; i++) {
-    const char = commandLine[i];
+  for (let i = 0; i < word.length; i++) {
+    const char = word[i];
     
     // Handle backslash escaping outside quotes
     if (char === '\\' && !inSingleQuote && !inDoubleQuote) {
       // Skip the backslash and take the next character literally
       i++;
-      if (i < commandLine.length) {
-        currentArg += commandLine[i];
+      if (i < word.length) {
+        currentArg += word[i];
       }
       continue;
     }
     
     // Handle backslash escaping inside double quotes
     if (char === '\\' && inDoubleQuote && !inSingleQuote) {
-      // Inside double quotes, backslash escapes: \, ", $
+      // Inside double quotes, backslash escapes: \, ", $, ` and newline
       i++;
-      if (i < commandLine.length) {
-        const nextChar = commandLine[i];
-        if (nextChar === '\\' || nextChar === '"' || nextChar === '$') {
+      if (i < word.length) {
+        const nextChar = word[i];
+        if (nextChar === '\\' || nextChar === '"' || nextChar === '$' || nextChar === '`') {
           // Escape these characters - remove backslash
           currentArg += nextChar;
-        } else {
+        } else if (nextChar !== '\n') {
           // For other characters, keep both backslash and character
           currentArg += '\\' + nextChar;
         }
@@ -466,43 +515,83 @@ function parseCommand(commandLine) {
       continue;
     }
     
+    // Handle `command` substitution (outside single quotes)
+    if (char === '`' && !inSingleQuote) {
+      const end = findClosingBacktick(word, i + 1);
+      if (end !== -1) {
+        // Inside backticks, backslash only escapes \, ` and $
+        const inner = word.slice(i + 1, end).replace(/\\([\\`$])/g, '$1');
+        appendExpansion(await executeCommandSubstitution(inner));
+        i = end;
+        continue;
+      }
+    }
+    
     // Handle variable interpolation (outside single quotes)
     if (char === '$' && !inSingleQuote) {
+      // Check for $((expression)) arithmetic expansion
+      if (word.startsWith('$((', i)) {
+        const end = findClosingParen(word, i + 3);
+        if (end !== -1 && word[end + 1] === ')') {
+          appendExpansion(String(await evaluateArithmeticExpansion(word.slice(i + 3, end), true)));
+          i = end + 1;
+          continue;
+        }
+      }
+
+      // Check for $(command) substitution
+      if (word.startsWith('$(', i)) {
+        const end = findClosingCommandParen(word, i + 2);
+        if (end !== -1) {
+          appendExpansion(await executeCommandSubstitution(word.slice(i + 2, end)));
+          i = end;
+          continue;
+        }
+      }
+      
       // Check for $? (exit code)
-      if (i + 1 < commandLine.length && commandLine[i + 1] === '?') {
-        currentArg += String(lastExitCode);
+      if (i + 1 < word.length && word[i + 1] === '?') {
+        currentArg += String(shell().lastExitCode);
         i++; // Skip the ?
-      } else if (i + 1 < commandLine.length && commandLine[i + 1] === '{') {
-        // ${VAR} syntax
-        i += 2; // Skip ${ 
-        let varName = '';
-        while (i < commandLine.length && commandLine[i] !== '}') {
-          varName += commandLine[i];
-          i++;
+      } else if (i + 1 < word.length && word[i + 1] === '{') {
+        // ${VAR} syntax, including the ${VAR:-default} style operators
+        const end = findClosingBrace(word, i + 2);
+        if (end === -1) {
+          throw expansionError(`${word.slice(i)}: bad substitution`);
         }
-        // i is now at } or end of string
-        // Expand variable
-        if (varName === '?') {
-          // ${?} syntax for exit code
-          currentArg += String(lastExitCode);
+        const expression = word.slice(i + 2, end);
+        const arrayMatch = expression.match(/^([A-Za-z_][A-Za-z0-9_]*)\[@\]$/);
+        if (expression === '@') {
+          appendList(shell().positionalParams);
+        } else if (arrayMatch) {
+          appendList(getArrayElements(arrayMatch[1]).filter(element => element !== undefined));
         } else {
-          const value = process.env[varName] || '';
-          currentArg += value;
+          appendExpansion(await expandParameterExpression(expression, inDoubleQuote));
         }
-      } else if (i + 1 < commandLine.length) {
+        i = end;
+      } else if (i + 1 < word.length && /[0-9#*@!-]/.test(word[i + 1])) {
+        // Positional and special parameters: $0-$9, $#, $*, $@, $! and $-
+        i++;
+        const name = word[i];
+        if (name === '@' || (name === '*' && !inDoubleQuote)) {
+          // Each parameter becomes a separate field ("$*" is one field)
+          appendList(shell().positionalParams);
+        } else {
+          currentArg += getExpansionValue(name);
+        }
+      } else if (i + 1 < word.length && /[A-Za-z_]/.test(word[i + 1])) {
         // $VAR syntax - read alphanumeric and underscore
         i++; // Skip $
         let varName = '';
-        while (i < commandLine.length && /[A-Za-z0-9_]/.test(commandLine[i])) {
-          varName += commandLine[i];
+        while (i < word.length && /[A-Za-z0-9_]/.test(word[i])) {
+          varName += word[i];
           i++;
         }
         i--; // Back up one since loop will increment
         // Expand variable
-        const value = process.env[varName] || '';
-        currentArg += value;
+        appendExpansion(getExpansionValue(varName));
       } else {
-        // Just $ at end of string
+        // A $ not starting an expansion is literal
         currentArg += char;
       }
       continue;
@@ -511,1391 +600,6521 @@ function parseCommand(commandLine) {
     if (char === "'" && !inDoubleQuote) {
       // Toggle single quote (only if not in double quote)
       inSingleQuote = !inSingleQuote;
+      quoted = true;
     } else if (char === '"' && !inSingleQuote) {
       // Toggle double quote (only if not in single quote)
       inDoubleQuote = !inDoubleQuote;
-    } else if (char === ' ' && !inSingleQuote && !inDoubleQuote) {
-      // Space outside quotes - separator
-      if (currentArg.length > 0) {
-        args.push(currentArg);
-        currentArg = '';
-      }
-    } else if ((char === '<' || char === '>') && !inSingleQuote && !inDoubleQuote) {
-      // Redirection operator outside quotes - split as separate token
-      if (currentArg.length > 0) {
-        args.push(currentArg);
-        currentArg = '';
-      }
-      // Check for >> or 2>> or 1>> or 2>
-      if (char === '>') {
-        if (i + 1 < commandLine.length && commandLine[i + 1] === '>') {
-          // >> found
-          // Check if preceded by 1 or 2
-          if (args.length > 0 && (args[args.length - 1] === '1' || args[args.length - 1] === '2')) {
-            const num = args.pop();
-            args.push(num + '>>');
-          } else {
-            args.push('>>');
-          }
-          i++; // Skip the second >
-        } else {
-          // Single >
-          // Check if preceded by 1 or 2
-          if (args.length > 0 && (args[args.length - 1] === '1' || args[args.length - 1] === '2')) {
-            const num = args.pop();
-            args.push(num + '>');
-          } else {
-            args.push('>');
-          }
-        }
-      } else {
-        // < found
-        args.push('<');
-      }
+      quoted = true;
+    } else if (!inSingleQuote && !inDoubleQuote) {
+      // Regular unquoted character
+      appendUnquoted(char);
     } else {
-      // Regular character or space inside quotes
+      // Regular character inside quotes
       currentArg += char;
     }
   }
   
-  // Don't forget the last argument
-  if (currentArg.length > 0) {
-    args.push(currentArg);
-  }
-  
-  // Parse redirection operators
-  let outputFile = null;
-  let outputAppend = false;
-  let errorFile = null;
-  let errorAppend = false;
-  let inputFile = null;
-  const filteredArgs = [];
-  
-  for (let i = 0; i < args.length; i++) {
-    const arg = args[i];
-    
-    // Check for >> or 1>> redirection (stdout append)
-    if (arg === '>>' || arg === '1>>') {
-      if (i + 1 < args.length) {
-        outputFile = args[i + 1];
-        outputAppend = true;
-        i++; // Skip the filename
-      }
-    } else if (arg === '2>>') {
-      // stderr append
-      if (i + 1 < args.length) {
-        errorFile = args[i + 1];
-        errorAppend = true;
-        i++; // Skip the filename
-      }
-    } else if (arg === '<') {
-      // stdin redirection
-      if (i + 1 < args.length) {
-        inputFile = args[i + 1];
-        i++; // Skip the filename
-      }
-    } else if (arg.startsWith('1>>')) {
-      // Handle "1>>file" (no space)
-      outputFile = arg.slice(3);
-      outputAppend = true;
-    } else if (arg.startsWith('2>>')) {
-      // Handle "2>>file" (no space)
-      errorFile = arg.slice(3);
-      errorAppend = true;
-    } else if (arg.startsWith('>>')) {
-      // Handle ">>file" (no space)
-      outputFile = arg.slice(2);
-      outputAppend = true;
-    } else if (arg === '>' || arg === '1>') {
-      // Next argument is the output file (overwrite)
-      if (i + 1 < args.length) {
-        outputFile = args[i + 1];
-        outputAppend = false;
-        i++; // Skip the filename
-      }
-    } else if (arg === '2>') {
-      // Next argument is the error file (stderr, overwrite)
-      if (i + 1 < args.length) {
-        errorFile = args[i + 1];
-        errorAppend = false;
-        i++; // Skip the filename
-      }
-    } else if (arg.startsWith('2>')) {
-      // Handle "2>file" (no space)
-      errorFile = arg.slice(2);
-      errorAppend = false;
-    } else if (arg.startsWith('1>')) {
-      // Handle "1>file" (no space)
-      outputFile = arg.slice(2);
-      outputAppend = false;
-    } else if (arg.startsWith('>') && !arg.startsWith('>>')) {
-      // Handle ">file" (no space)
-      outputFile = arg.slice(1);
-      outputAppend = false;
-    } else if (arg.startsWith('<')) {
-      // Handle "<file" (no space)
-      inputFile = arg.slice(1);
-    } else {
-      filteredArgs.push(arg);
-    }
+  // Don't forget the last field
+  if (!splitFields || currentArg.length > 0 || (quoted && !emptyAt)) {
+    finishArg();
   }
   
-  return { args: filteredArgs, outputFile, outputAppend, errorFile, errorAppend, inputFile };
+  return fields;
 }
 
-// Helper function to find executable in PATH
-function findExecutable(command) {
-  const pathEnv = process.env.PATH || "";
-  const directories = pathEnv.split(path.delimiter);
-  
-  // On Windows, try both with and without .exe extension
-  const isWindows = process.platform === 'win32';
-  const extensions = isWindows ? ['', '.exe', '.cmd', '.bat', '.com'] : [''];
+// Find the index of the ) closing a parenthesis opened just before start,
+// skipping quoted text and nested parentheses. Returns -1 if unclosed.
+// This is for arithmetic; command substitutions are parsed (see
+// findClosingCommandParen).
+function findClosingParen(str, start) {
+  let depth = 1;
+  let inSingleQuote = false;
+  let inDoubleQuote = false;
   
-  for (const dir of directories) {
-    for (const ext of extensions) {
-      const fullPath = path.join(dir, command + ext);
-      
-      try {
-        // Check if file exists
-        if (fs.existsSync(fullPath)) {
-          // On Windows, just check if it exists (permissions work differently)
-          // On Unix, check execute permissions
-          if (isWindows) {
-            // On Windows, if it has executable extension or no extension, it's good
-            return fullPath;
-          } else {
-            // On Unix, check execute permissions
-            try {
-              fs.accessSync(fullPath, fs.constants.X_OK);
-              return fullPath;
-            } catch (err) {
-              continue;
-            }
-          }
+  for (let i = start; i < str.length; i++) {
+    const char = str[i];
+    
+    if (char === '\\' && !inSingleQuote) {
+      i++; // Skip the escaped character
+    } else if (char === "'" && !inDoubleQuote) {
+      inSingleQuote = !inSingleQuote;
+    } else if (char === '"' && !inSingleQuote) {
+      inDoubleQuote = !inDoubleQuote;
+    } else if (!inSingleQuote && !inDoubleQuote) {
+      if (char === '(') {
+        depth++;
+      } else if (char === ')') {
+        depth--;
+        if (depth === 0) {
+          return i;
         }
-      } catch (err) {
-        // File doesn't exist or can't be accessed, continue to next
-        continue;
       }
     }
   }
   
-  return null;
+  return -1;
 }
 
-// Track command history
-const commandHistory = [];
-// Track the last index written to file (for history -a)
-let lastWrittenIndex = 0;
+// Find the index of the ) closing a $(...) command substitution whose
+// body starts at start. The body is parsed as commands, so a ) in a case
+// pattern, a comment or a quoted nested substitution doesn't end it.
+// Returns -1 if the body is unterminated.
+function findClosingCommandParen(str, start) {
+  // Parsed as interactive input, an unterminated body (or here-document
+  // in it) is an incomplete-input error rather than a warning
+  const parser = createParser(str, true);
+  parser.lexer.pos = start;
+  parser.lexer.expandAliases = false;
+  try {
+    parseStatementList(parser, [')']);
+  } catch (err) {
+    if (!err.syntax) {
+      throw err;
+    }
+    // A body with a syntax error reports it when the substitution runs;
+    // until then its parentheses are counted
+    return err.incomplete ? -1 : findClosingParen(str, start);
+  }
+  const token = peekToken(parser);
+  return isOperator(token, ')') ? token.start : -1;
+}
 
-// Track last exit code for $? variable
-let lastExitCode = 0;
+// Find the index of the last ) of a $((...)) arithmetic expansion or a
+// $(...) command substitution starting at index i (its $). $(( is an
+// arithmetic expansion only if it ends in )).
+function findSubstitutionEnd(str, i) {
+  if (str.startsWith('$((', i)) {
+    const end = findClosingParen(str, i + 3);
+    if (end !== -1 && str[end + 1] === ')') {
+      return end + 1;
+    }
+  }
+  return findClosingCommandParen(str, i + 2);
+}
 
-// Store command aliases
-const aliases = new Map();
+// Find the index of the backtick closing a `command` substitution
+// opened just before start. Returns -1 if unclosed.
+function findClosingBacktick(str, start) {
+  for (let i = start; i < str.length; i++) {
+    if (str[i] === '\\') {
+      i++; // Skip the escaped character
+    } else if (str[i] === '`') {
+      return i;
+    }
+  }
+  return -1;
+}
 
-// Job control
-const jobs = [];
-let nextJobId = 1;
+// Find the index of the } closing a ${...} expansion opened just before
+// start. Nested ${...}, $(...) and quotes are skipped. Returns -1 if unclosed.
+function findClosingBrace(str, start) {
+  let depth = 1;
+  let inSingleQuote = false;
+  let inDoubleQuote = false;
+  
+  for (let i = start; i < str.length; i++) {
+    const char = str[i];
+    
+    if (char === '\\' && !inSingleQuote) {
+      i++; // Skip the escaped character
+    } else if (char === "'" && !inDoubleQuote) {
+      inSingleQuote = !inSingleQuote;
+    } else if (char === '"' && !inSingleQuote) {
+      inDoubleQuote = !inDoubleQuote;
+    } else if (!inSingleQuote) {
+      if (char === '$' && str[i + 1] === '(') {
+        const end = findSubstitutionEnd(str, i);
+        if (end === -1) {
+          return -1;
+        }
+        i = end;
+      } else if (char === '$' && str[i + 1] === '{') {
+        depth++;
+        i++;
+      } else if (char === '}') {
+        depth--;
+        if (depth === 0) {
+          return i;
+        }
+      }
+    }
+  }
+  
+  return -1;
+}
 
-// Job states
-const JOB_RUNNING = 'Running';
-const JOB_STOPPED = 'Stopped';
-const JOB_DONE = 'Done';
+// Regular expression ranges of the character classes of bracket
+// expressions, like [:alpha:]
+const CHARACTER_CLASSES = {
+  alpha: 'A-Za-z', digit: '0-9', alnum: 'A-Za-z0-9', upper: 'A-Z', lower: 'a-z',
+  space: ' \\t\\n\\r\\f\\v', blank: ' \\t', punct: '!-\\/:-@\\[-`{-~', xdigit: '0-9A-Fa-f',
+};
 
-// Add a job
-function addJob(command, process, isBackground) {
-  const job = {
-    id: nextJobId++,
-    command: command,
-    process: process,
-    pid: process.pid,
-    state: JOB_RUNNING,
-    background: isBackground
-  };
-  jobs.push(job);
-  return job;
+// Escape the characters of text that are special in a regular expression
+function escapeRegExp(text) {
+  return text.replace(/[\\^$.*+?()[\]{}|\/-]/g, '\\$&');
 }
 
-// Remove completed jobs
-function cleanupJobs() {
-  for (let i = jobs.length - 1; i >= 0; i--) {
-    if (jobs[i].state === JOB_DONE) {
-      jobs.splice(i, 1);
+// Convert a shell pattern (*, ?, [...]) into a regular expression source.
+// A backslash makes the next character literal.
+function patternToRegExpSource(pattern) {
+  let source = '';
+  
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    
+    if (char === '\\' && i + 1 < pattern.length) {
+      i++;
+      source += escapeRegExp(pattern[i]);
+    } else if (char === '*') {
+      source += '[\\s\\S]*';
+    } else if (char === '?') {
+      source += '[\\s\\S]';
+    } else if (char === '[') {
+      // Bracket expression; ] right after [ or [! is part of the set
+      let j = i + 1;
+      let negate = false;
+      if (pattern[j] === '!' || pattern[j] === '^') {
+        negate = true;
+        j++;
+      }
+      let set = '';
+      let first = true;
+      while (j < pattern.length && (pattern[j] !== ']' || first)) {
+        const setChar = pattern[j];
+        if (setChar === '\\' && j + 1 < pattern.length) {
+          j++;
+          set += '\\' + pattern[j];
+        } else if (setChar === '[' && pattern[j + 1] === ':') {
+          // Character classes like [:alpha:]
+          const end = pattern.indexOf(':]', j + 2);
+          const className = end === -1 ? '' : pattern.slice(j + 2, end);
+          if (CHARACTER_CLASSES[className] === undefined) {
+            set += '\\[';
+          } else {
+            set += CHARACTER_CLASSES[className];
+            j = end + 1;
+          }
+        } else if (setChar === '-' && !first && pattern[j + 1] !== ']') {
+          set += '-';
+        } else {
+          set += setChar.replace(/[\\^\]\[-]/g, '\\$&');
+        }
+        first = false;
+        j++;
+      }
+      if (j >= pattern.length) {
+        // No closing ] - the [ is literal
+        source += '\\[';
+      } else {
+        source += `[${negate ? '^' : ''}${set}]`;
+        i = j;
+      }
+    } else {
+      source += char.replace(/[\\^$.*+?()[\]{}|\/-]/g, '\\$&');
     }
   }
+  
+  return source;
 }
 
-// Get job by ID
-function getJob(jobId) {
-  return jobs.find(j => j.id === jobId);
+// Check if a whole string matches a shell pattern
+function matchesPattern(text, pattern) {
+  return new RegExp(`^(?:${patternToRegExpSource(pattern)})$`).test(text);
 }
 
-// Update job states
-function updateJobStates() {
-  jobs.forEach(job => {
-    if (job.process && job.process.exitCode !== null) {
-      job.state = JOB_DONE;
+// Check if a pattern has unescaped *, ? or [ characters
+function hasGlobCharacters(pattern) {
+  for (let i = 0; i < pattern.length; i++) {
+    if (pattern[i] === '\\') {
+      i++;
+    } else if ('*?['.includes(pattern[i])) {
+      return true;
     }
-  });
+  }
+  return false;
 }
 
-// Execute commands from a file (for source builtin and profile loading)
-function executeFile(filePath) {
-  try {
-    const content = fs.readFileSync(filePath, 'utf8');
-    const lines = content.split('\n');
-    
-    for (const line of lines) {
-      const trimmedLine = line.trim();
-      // Skip empty lines and comments
-      if (!trimmedLine || trimmedLine.startsWith('#')) {
+// Remove the backslashes escaping characters in a pattern
+function unescapePattern(pattern) {
+  return pattern.replace(/\\([\s\S])/g, '$1');
+}
+
+// Find the pathnames matching a pattern such as src/*/index.js. Each
+// directory component is matched separately; names starting with . are
+// only matched by a pattern starting with a literal dot (unless shopt -s
+// dotglob), and shopt -s nocaseglob ignores case. Returns the sorted
+// matches (empty if there are none).
+function globPathnames(pattern) {
+  const absolute = pattern.startsWith('/');
+  const onlyDirectories = pattern.endsWith('/');
+  const components = pattern.split('/').filter(component => component !== '');
+  let paths = [absolute ? '/' : ''];
+  
+  for (const component of components) {
+    const nextPaths = [];
+    for (const base of paths) {
+      if (!hasGlobCharacters(component)) {
+        nextPaths.push(base + unescapePattern(component));
         continue;
       }
       
-      // Execute the command (without adding to history)
-      // We'll process it directly here to avoid REPL recursion
-      executeCommand(trimmedLine, false);
+      let entries;
+      try {
+        entries = fs.readdirSync(resolvePath(base || '.'));
+      } catch (err) {
+        continue; // Not a readable directory
+      }
+      const regex = new RegExp(`^(?:${patternToRegExpSource(component)})$`, shell().options.nocaseglob ? 'i' : '');
+      const matchHidden = shell().options.dotglob || component.startsWith('.') || component.startsWith('\\.');
+      for (const name of entries) {
+        if ((name.startsWith('.') && !matchHidden) || !regex.test(name)) {
+          continue;
+        }
+        nextPaths.push(base + name);
+      }
     }
-    return true;
-  } catch (err) {
-    return false;
-  }
-}
-
-// Execute a single command (helper for source and profile loading)
-function executeCommand(command, addToHistory = true) {
-  if (!command.trim()) return;
-  
-  // Add to history if requested
-  if (addToHistory && command.trim()) {
-    commandHistory.push(command);
-  }
-  
-  // Check for variable assignment (VAR=value)
-  const varAssignMatch = command.match(/^([A-Za-z_][A-Za-z0-9_]*)=(.*)$/);
-  if (varAssignMatch) {
-    const varName = varAssignMatch[1];
-    const varValue = varAssignMatch[2];
-    const parsed = parseCommand(varValue);
-    const expandedValue = parsed.args.join(' ');
-    process.env[varName] = expandedValue;
-    return;
+    paths = nextPaths.map(p => p + '/');
   }
   
-  // Parse the command
-  const parsed = parseCommand(command);
-  const args = parsed.args;
-  
-  if (args.length === 0) return;
-  
-  const cmd = args[0];
-  const cmdArgs = args.slice(1);
-  
-  // Handle builtins that need special handling
-  if (cmd === 'cd') {
-    const dir = cmdArgs[0] === '~' ? process.env.HOME : cmdArgs[0];
+  // Literal components were not checked, so keep only paths that exist
+  const matches = [];
+  for (const p of paths) {
+    const match = onlyDirectories ? p : p.slice(0, -1);
     try {
-      process.chdir(dir);
+      const stats = fs.statSync(resolvePath(match));
+      if (!onlyDirectories || stats.isDirectory()) {
+        matches.push(match);
+      }
     } catch (err) {
-      // Silently ignore errors in profile files
+      // Broken symlinks still match, like in bash
+      try {
+        fs.lstatSync(resolvePath(match));
+        if (!onlyDirectories) {
+          matches.push(match);
+        }
+      } catch (lstatErr) {
+        // Doesn't exist
+      }
     }
-  } else if (cmd === 'source' && cmdArgs[0]) {
-    executeFile(cmdArgs[0]);
-  } else if (isBuiltin(cmd)) {
-    // Execute other builtins
-    const result = executeBuiltin(cmd, cmdArgs);
-    if (result.output) {
-      process.stdout.write(result.output);
+  }
+  return matches.sort();
+}
+
+// Turn an expanded word into a pattern in which only the glob
+// characters at globPositions (those that weren't quoted) are special
+function quoteGlobCharacters(word, globPositions) {
+  let pattern = '';
+  for (let i = 0; i < word.length; i++) {
+    if (!globPositions.includes(i) && '*?[\\'.includes(word[i])) {
+      pattern += '\\';
     }
+    pattern += word[i];
   }
-  // For non-builtins in profile files, we skip them (don't execute external commands during profile load)
+  return pattern;
 }
 
-// Check if command is a builtin
-function isBuiltin(cmd) {
-  return ['echo', 'exit', 'type', 'pwd', 'cd', 'history', 'source', 'jobs', 'fg', 'bg', 'alias', 'unalias'].includes(cmd);
+// Expand a word containing unquoted glob characters (at globPositions)
+// into the matching pathnames. A word that matches nothing is kept as is,
+// or removed with shopt -s nullglob (an error with failglob).
+function expandPathname(word, globPositions) {
+  // Quoted glob characters must match literally
+  const pattern = quoteGlobCharacters(word, globPositions);
+  if (!hasGlobCharacters(pattern)) {
+    return [word];
+  }
+  const matches = globPathnames(pattern);
+  if (matches.length > 0) {
+    return matches;
+  }
+  if (shell().options.failglob) {
+    throw expansionError(`no match: ${word}`);
+  }
+  return shell().options.nullglob ? [] : [word];
 }
 
-// Execute builtin command and return { exitCode, output }
-function executeBuiltin(cmd, cmdArgs) {
-  if (cmd === 'echo') {
-    return { exitCode: 0, output: cmdArgs.join(' ') + '\n' };
-  } else if (cmd === 'pwd') {
-    return { exitCode: 0, output: process.cwd() + '\n' };
-  } else if (cmd === 'type') {
-    const arg = cmdArgs[0];
-    const builtins = ['echo', 'exit', 'type', 'pwd', 'cd', 'history', 'source', 'jobs', 'fg', 'bg', 'alias', 'unalias'];
-    
-    // Check if it's an alias first
-    if (aliases.has(arg)) {
-      return { exitCode: 0, output: `${arg} is aliased to '${aliases.get(arg)}'\n` };
+// Expand the word inside ${VAR:-word} and friends: quotes are removed
+// and expansions performed, but the result isn't split
+async function expandParameterWord(word) {
+  return (await expandWord(word, false))[0];
+}
+
+// Get a parameter's value, or undefined if it is unset
+function getParameterValue(name) {
+  if (name === '?') {
+    return String(shell().lastExitCode);
+  }
+  if (name === '!') {
+    return shell().lastBackgroundPid === null ? undefined : getSpecialParameter(name);
+  }
+  if (/^[#*@-]$/.test(name)) {
+    return getSpecialParameter(name);
+  }
+  if (/^[0-9]+$/.test(name)) {
+    const index = parseInt(name, 10);
+    return index === 0 || index <= shell().positionalParams.length ? getSpecialParameter(name) : undefined;
+  }
+  return getVariable(name);
+}
+
+// Create the error for expanding an unset parameter with set -u, which
+// ends a script
+function unboundVariableError(name) {
+  const err = expansionError(`${name}: unbound variable`);
+  err.fatal = true;
+  return err;
+}
+
+// Get the value $NAME (or $1, $!, ...) expands to: empty if the
+// parameter is unset, or an error with set -u
+function getExpansionValue(name) {
+  const value = getParameterValue(name);
+  if (value === undefined && shell().options.nounset) {
+    throw unboundVariableError(name);
+  }
+  return value || '';
+}
+
+// Remove the shortest or longest prefix (#, ##) or suffix (%, %%)
+// matching a pattern
+function removeMatchingAffix(value, pattern, operator) {
+  const regex = new RegExp(`^(?:${patternToRegExpSource(pattern)})$`);
+  const longest = operator.length === 2;
+  
+  for (let k = 0; k <= value.length; k++) {
+    const length = longest ? value.length - k : k;
+    if (operator[0] === '#') {
+      if (regex.test(value.slice(0, length))) {
+        return value.slice(length);
+      }
+    } else if (regex.test(value.slice(value.length - length))) {
+      return value.slice(0, value.length - length);
     }
-    
-    if (builtins.includes(arg)) {
-      return { exitCode: 0, output: `${arg} is a shell builtin\n` };
+  }
+  return value;
+}
+
+// Replace the first (/) or every (//) longest match of a pattern; /# and
+// /% anchor the match at the start or end of the value, where an empty
+// pattern adds the replacement as a prefix or suffix. The pattern is
+// compiled once: its greedy * make each leftmost match the longest.
+function replacePattern(value, pattern, replacement, operator) {
+  const anchored = operator === '/#' || operator === '/%';
+  if (pattern === '' && !anchored) {
+    return value;
+  }
+  let source = patternToRegExpSource(pattern);
+  if (operator === '/#') {
+    source = `^(?:${source})`;
+  } else if (operator === '/%') {
+    source = `(?:${source})$`;
+  }
+  const regex = new RegExp(source, operator === '//' ? 'g' : '');
+  // An unanchored pattern only matches empty at the end of the value,
+  // which is replaced only if the whole value is empty (so ${x//*/r} is r)
+  return value.replace(regex, match => (match === '' && !anchored && value !== '' ? '' : replacement));
+}
+
+// Expand the inside of ${...}: ${VAR}, ${#VAR}, the default/assign/error/
+// alternate operators (with or without :), pattern removal and
+// replacement, ${VAR:offset:length} and case modification. In a quoted
+// expansion ("${VAR:-word}") the word is expanded as if in double quotes,
+// so single quotes in it are kept.
+async function expandParameterExpression(expression, quoted = false) {
+  const badSubstitution = () => expansionError(`\${${expression}}: bad substitution`);
+  
+  // ${NAME[index]}, ${NAME[@]} and ${NAME[*]} (all elements) of an
+  // indexed array, and ${#NAME[...]} for a length or the element count
+  const arrayMatch = expression.match(/^(#?)([A-Za-z_][A-Za-z0-9_]*)\[([^\]]+)\]$/);
+  if (arrayMatch) {
+    const elements = getArrayElements(arrayMatch[2]);
+    const subscript = arrayMatch[3];
+    if (subscript === '@' || subscript === '*') {
+      const present = elements.filter(element => element !== undefined);
+      return arrayMatch[1] ? String(present.length) : present.join(' ');
     }
-    const executablePath = findExecutable(arg);
-    if (executablePath) {
-      return { exitCode: 0, output: `${arg} is ${executablePath}\n` };
-    }
-    return { exitCode: 1, output: `${arg}: not found\n` };
-  } else if (cmd === 'history') {
-    // Check for -r flag (read from file)
-    if (cmdArgs[0] === '-r' && cmdArgs[1]) {
-      const filePath = cmdArgs[1];
-      try {
-        const fileContent = fs.readFileSync(filePath, 'utf8');
-        const lines = fileContent.split('\n');
-        for (const line of lines) {
-          if (line.trim()) {
-            commandHistory.push(line);
-          }
-        }
-        return { exitCode: 0, output: '' };
-      } catch (err) {
-        return { exitCode: 1, output: `history: ${filePath}: No such file or directory\n` };
+    let index;
+    try {
+      index = Number(evaluateArithmetic(await expandText(subscript)));
+    } catch (err) {
+      if (!err.arithmetic) {
+        throw err;
       }
+      throw expansionError(err.message);
     }
-    
-    // Check for -w flag (write to file)
-    if (cmdArgs[0] === '-w' && cmdArgs[1]) {
-      const filePath = cmdArgs[1];
-      try {
-        // Write all commands to file with trailing newline
-        const content = commandHistory.join('\n') + '\n';
-        fs.writeFileSync(filePath, content, 'utf8');
-        lastWrittenIndex = commandHistory.length;
-        return { exitCode: 0, output: '' };
-      } catch (err) {
-        return { exitCode: 1, output: `history: ${filePath}: cannot write history file\n` };
-      }
+    if (index < 0) {
+      index += elements.length;
     }
-    
-    // Check for -a flag (append to file)
-    if (cmdArgs[0] === '-a' && cmdArgs[1]) {
-      const filePath = cmdArgs[1];
-      try {
-        // Only append commands since last write
-        const newCommands = commandHistory.slice(lastWrittenIndex);
-        if (newCommands.length > 0) {
-          const content = newCommands.join('\n') + '\n';
-          fs.appendFileSync(filePath, content, 'utf8');
-          lastWrittenIndex = commandHistory.length;
-        }
-        return { exitCode: 0, output: '' };
-      } catch (err) {
-        return { exitCode: 1, output: `history: ${filePath}: cannot append to history file\n` };
-      }
+    if (elements[index] === undefined && shell().options.nounset) {
+      throw unboundVariableError(`${arrayMatch[2]}[${subscript}]`);
+    }
+    const value = elements[index] || '';
+    return arrayMatch[1] ? String(value.length) : value;
+  }
+  
+  // ${#VAR} is the length of the value (${#} alone is the argument count)
+  if (expression.length > 1 && expression[0] === '#') {
+    const name = expression.slice(1);
+    if (name === '@' || name === '*') {
+      return String(shell().positionalParams.length);
     }
+    if (!/^([A-Za-z_][A-Za-z0-9_]*|[0-9]+|[#?!-])$/.test(name)) {
+      throw badSubstitution();
+    }
+    return String(getExpansionValue(name).length);
+  }
+  
+  const nameMatch = expression.match(/^([A-Za-z_][A-Za-z0-9_]*|[0-9]+|[#?*@!-])/);
+  if (!nameMatch) {
+    throw badSubstitution();
+  }
+  const name = nameMatch[1];
+  const rest = expression.slice(name.length);
+  const value = getParameterValue(name);
+  
+  // set -u makes using an unset parameter an error, unless the
+  // expression gives a value for that case (${VAR-word} and friends)
+  if (value === undefined && shell().options.nounset && !/^:?[-=?+]/.test(rest)) {
+    throw unboundVariableError(name);
+  }
+  
+  if (rest === '') {
+    return value || '';
+  }
+  
+  // ${VAR:-word}, ${VAR-word} and the =, ? and + forms. With the colon
+  // an empty value counts as unset.
+  const defaultMatch = rest.match(/^(:?)([-=?+])([\s\S]*)$/);
+  if (defaultMatch) {
+    const isSet = defaultMatch[1] ? Boolean(value) : value !== undefined;
+    const operator = defaultMatch[2];
+    const word = quoted ? `"${defaultMatch[3]}"` : defaultMatch[3];
     
-    // Normal history display
-    const limit = cmdArgs[0] ? parseInt(cmdArgs[0]) : commandHistory.length;
-    const startIndex = Math.max(0, commandHistory.length - limit);
-    let result = '';
-    for (let i = startIndex; i < commandHistory.length; i++) {
-      result += `    ${i + 1}  ${commandHistory[i]}\n`;
+    if (operator === '+') {
+      return isSet ? await expandParameterWord(word) : '';
     }
-    return { exitCode: 0, output: result };
-  } else if (cmd === 'cd') {
-    const dir = cmdArgs[0] === '~' ? process.env.HOME : cmdArgs[0];
-    try {
-      process.chdir(dir);
-      return { exitCode: 0, output: '' };
-    } catch (err) {
-      return { exitCode: 1, output: `cd: ${dir}: No such file or directory\n` };
+    if (isSet) {
+      return value;
     }
-  } else if (cmd === 'source') {
-    if (!cmdArgs[0]) {
-      return { exitCode: 1, output: 'source: filename required\n' };
+    if (operator === '-') {
+      return await expandParameterWord(word);
     }
-    const filePath = cmdArgs[0].replace(/^~/, process.env.HOME || '');
-    const success = executeFile(filePath);
-    if (!success) {
-      return { exitCode: 1, output: `source: ${cmdArgs[0]}: No such file or directory\n` };
+    if (operator === '=') {
+      if (!/^[A-Za-z_]/.test(name)) {
+        throw expansionError(`$${name}: cannot assign in this way`);
+      }
+      setVariable(name, await expandParameterWord(word));
+      return getVariable(name);
     }
-    return { exitCode: 0, output: '' };
-  } else if (cmd === 'jobs') {
-    // Update job states first
-    updateJobStates();
-    
-    let result = '';
-    jobs.forEach(job => {
-      const sign = job.background ? '&' : '';
-      result += `[${job.id}]  ${job.state}  ${job.command}${sign}\n`;
-    });
-    return { exitCode: 0, output: result };
-  } else if (cmd === 'fg') {
-    // Bring job to foreground
-    const jobId = cmdArgs[0] ? parseInt(cmdArgs[0]) : jobs.length;
-    const job = getJob(jobId);
-    
-    if (!job) {
-      return { exitCode: 1, output: `fg: ${jobId}: no such job\n` };
+    // ${VAR:?message} fails the command (and exits a script)
+    const message = defaultMatch[3] ? await expandParameterWord(defaultMatch[3]) : (defaultMatch[1] ? 'parameter null or not set' : 'parameter not set');
+    const err = expansionError(`${name}: ${message}`);
+    err.fatal = true;
+    throw err;
+  }
+  
+  // Positional parameters are sliced as a list by ${@:offset:length}
+  const isList = name === '@' || name === '*';
+  
+  // ${VAR:offset} and ${VAR:offset:length} (offsets are arithmetic)
+  if (rest[0] === ':') {
+    const colon = rest.indexOf(':', 1);
+    const offsetText = colon === -1 ? rest.slice(1) : rest.slice(1, colon);
+    let offset;
+    let length;
+    try {
+      offset = Number(evaluateArithmetic(await expandText(offsetText)));
+      if (colon !== -1) {
+        length = Number(evaluateArithmetic(await expandText(rest.slice(colon + 1))));
+      }
+    } catch (err) {
+      if (!err.arithmetic) {
+        throw err;
+      }
+      throw expansionError(err.message);
     }
     
-    if (job.state === JOB_DONE) {
-      return { exitCode: 1, output: `fg: ${jobId}: job has terminated\n` };
+    const items = isList ? [shellName, ...shell().positionalParams] : (value || '');
+    if (isList && offset === 0 && colon === -1) {
+      return shell().positionalParams.join(' ');
     }
-    
-    // Note: Full fg implementation requires process group management
-    // which is complex in Node.js. This is a basic implementation.
-    return { exitCode: 0, output: `[${job.id}]  ${job.command}\n` };
-  } else if (cmd === 'bg') {
-    // Continue job in background
-    const jobId = cmdArgs[0] ? parseInt(cmdArgs[0]) : jobs.length;
-    const job = getJob(jobId);
-    
-    if (!job) {
-      return { exitCode: 1, output: `bg: ${jobId}: no such job\n` };
+    const size = items.length;
+    // A negative offset before the start gives nothing
+    if (size + offset < 0) {
+      return '';
     }
-    
-    if (job.state === JOB_DONE) {
-      return { exitCode: 1, output: `bg: ${jobId}: job has terminated\n` };
+    const start = offset < 0 ? size + offset : Math.min(offset, size);
+    let end = size;
+    if (length !== undefined) {
+      if (length < 0) {
+        if (isList) {
+          throw expansionError(`${rest.slice(colon + 1)}: substring expression < 0`);
+        }
+        end = size + length;
+        if (end < start) {
+          throw expansionError(`${rest.slice(colon + 1)}: substring expression < 0`);
+        }
+      } else {
+        end = Math.min(start + length, size);
+      }
     }
-    
-    job.state = JOB_RUNNING;
-    job.background = true;
-    
-    // Note: Full bg implementation requires sending SIGCONT signal
-    // This is a basic implementation
-    return { exitCode: 0, output: `[${job.id}]  ${job.command} &\n` };
-  } else if (cmd === 'alias') {
-    // Handle alias builtin
-    if (cmdArgs.length === 0) {
-      // List all aliases
-      let result = '';
-      const sortedAliases = Array.from(aliases.entries()).sort();
-      for (const [name, value] of sortedAliases) {
-        result += `alias ${name}='${value}'\n`;
+    return isList ? items.slice(start, end).join(' ') : items.slice(start, end);
+  }
+  
+  // ${VAR#pattern}, ${VAR##pattern}, ${VAR%pattern} and ${VAR%%pattern}
+  const affixMatch = rest.match(/^(##?|%%?)([\s\S]*)$/);
+  if (affixMatch) {
+    const pattern = await expandParameterWord(affixMatch[2]);
+    if (isList) {
+      return shell().positionalParams.map(param => removeMatchingAffix(param, pattern, affixMatch[1])).join(' ');
+    }
+    return removeMatchingAffix(value || '', pattern, affixMatch[1]);
+  }
+  
+  // ${VAR/pattern/replacement}, ${VAR//...}, ${VAR/#...} and ${VAR/%...}
+  const replaceMatch = rest.match(/^(\/[\/#%]?)([\s\S]*)$/);
+  if (replaceMatch) {
+    let body = replaceMatch[2];
+    let separator = -1;
+    for (let i = 0; i < body.length; i++) {
+      if (body[i] === '\\') {
+        i++;
+      } else if (body[i] === '/') {
+        separator = i;
+        break;
       }
-      return { exitCode: 0, output: result };
     }
-    
-    // Check if it's alias name='value' format
-    const fullArg = cmdArgs.join(' ');
-    const aliasMatch = fullArg.match(/^([A-Za-z_][A-Za-z0-9_]*)=(.*)$/);
-    
-    if (aliasMatch) {
-      // Setting an alias
-      const name = aliasMatch[1];
-      let value = aliasMatch[2];
-      
-      // Remove surrounding quotes if present
-      if ((value.startsWith("'") && value.endsWith("'")) || 
-          (value.startsWith('"') && value.endsWith('"'))) {
-        value = value.slice(1, -1);
+    const pattern = await expandParameterWord(separator === -1 ? body : body.slice(0, separator));
+    const replacement = separator === -1 ? '' : await expandParameterWord(body.slice(separator + 1));
+    if (isList) {
+      return shell().positionalParams.map(param => replacePattern(param, pattern, replacement, replaceMatch[1])).join(' ');
+    }
+    // An unset parameter is never substituted, even by an empty pattern
+    if (value === undefined) {
+      return '';
+    }
+    return replacePattern(value, pattern, replacement, replaceMatch[1]);
+  }
+  
+  // ${VAR^^}, ${VAR,,} convert every character; ${VAR^} and ${VAR,}
+  // only the first. An optional pattern limits which characters change.
+  const caseMatch = rest.match(/^(\^\^?|,,?)([\s\S]*)$/);
+  if (caseMatch) {
+    const toUpper = caseMatch[1][0] === '^';
+    const all = caseMatch[1].length === 2;
+    const pattern = caseMatch[2] ? await expandParameterWord(caseMatch[2]) : '?';
+    const convert = (text) => [...text].map((char, index) => {
+      if ((!all && index > 0) || !matchesPattern(char, pattern)) {
+        return char;
       }
+      return toUpper ? char.toUpperCase() : char.toLowerCase();
+    }).join('');
+    if (isList) {
+      return shell().positionalParams.map(convert).join(' ');
+    }
+    return convert(value || '');
+  }
+  
+  throw badSubstitution();
+}
+
+// Run the commands of a $(...) or `...` substitution, capturing their
+// output. Trailing newlines are removed and $? is set to their status.
+async function executeCommandSubstitution(command) {
+  let statements;
+  try {
+    statements = parseStatements(command);
+  } catch (err) {
+    writeToFd(currentStdio()[2], `${err.message}\n`);
+    shell().lastExitCode = 2;
+    shell().lastSubstitutionStatus = shell().lastExitCode;
+    return '';
+  }
+  
+  // The commands run in a subshell, so exit, cd and assignments inside
+  // the substitution don't affect the shell. set -e is turned off there
+  // unless shopt -s inherit_errexit.
+  let status;
+  const output = await captureOutput(async () => {
+    status = await runInSubshell(() => {
+      shell().options.errexit = shell().options.errexit && shell().options.inherit_errexit;
+      return executeStatements(statements);
+    });
+  });
+  shell().lastExitCode = status;
+  shell().lastSubstitutionStatus = status;
+  return output.replace(/\n+$/, '');
+}
+
+// Expand the value of a VAR=value assignment and store it in the
+// variable table. Returns the exit status of the last command substitution
+// in the value, 0 if there was none, or 1 if the assignment failed.
+async function assignVariable(varName, varValue) {
+  shell().lastSubstitutionStatus = null;
+  try {
+    const value = (await expandWord(varValue, false))[0];
+    await traceCommand([`${varName}=${value === '' ? '' : quoteShellValue(value)}`]);
+    setVariable(varName, value);
+  } catch (err) {
+    return reportExpansionError(err);
+  }
+  return shell().lastSubstitutionStatus === null ? 0 : shell().lastSubstitutionStatus;
+}
+
+// Helper function to find executable in PATH
+function findExecutable(command) {
+  const pathEnv = (getVariable('PATH') || "");
+  const directories = pathEnv.split(path.delimiter);
+  
+  // On Windows, try both with and without .exe extension
+  const isWindows = process.platform === 'win32';
+  const extensions = isWindows ? ['', '.exe', '.cmd', '.bat', '.com'] : [''];
+  
+  for (const dir of directories) {
+    for (const ext of extensions) {
+      const fullPath = path.join(dir, command + ext);
       
-      aliases.set(name, value);
-      return { exitCode: 0, output: '' };
-    } else {
-      // Show specific alias(es)
-      let result = '';
-      let hasError = false;
-      for (const name of cmdArgs) {
-        if (aliases.has(name)) {
-          result += `alias ${name}='${aliases.get(name)}'\n`;
-        } else {
-          result += `alias: ${name}: not found\n`;
-          hasError = true;
+      try {
+        // Check if file exists
+        if (fs.existsSync(fullPath)) {
+          // On Windows, just check if it exists (permissions work differently)
+          // On Unix, check execute permissions
+          if (isWindows) {
+            // On Windows, if it has executable extension or no extension, it's good
+            return fullPath;
+          } else {
+            // On Unix, check execute permissions
+            try {
+              fs.accessSync(fullPath, fs.constants.X_OK);
+              return fullPath;
+            } catch (err) {
+              continue;
+            }
+          }
         }
+      } catch (err) {
+        // File doesn't exist or can't be accessed, continue to next
+        continue;
       }
-      return { exitCode: hasError ? 1 : 0, output: result };
-    }
-  } else if (cmd === 'unalias') {
-    // Handle unalias builtin
-    if (cmdArgs.length === 0) {
-      return { exitCode: 1, output: 'unalias: usage: unalias name [name ...]\n' };
     }
-    
-    let hasError = false;
-    let result = '';
-    for (const name of cmdArgs) {
-      if (aliases.has(name)) {
-        aliases.delete(name);
+  }
+  
+  return null;
+}
+
+// Track command history
+const commandHistory = [];
+// Track the last index written to file (for history -a)
+let lastWrittenIndex = 0;
+
+// Options of set by letter, in the order $- lists them: -b (notify)
+// reports finished jobs right away, -e (errexit) exits on a failing
+// command, -f (noglob) turns off pathname expansion, -u (nounset) makes
+// expanding an unset variable an error, -v (verbose) echoes input as it
+// is read, -x (xtrace) prints commands before running them, -C
+// (noclobber) refuses to overwrite files with >, -E (errtrace) and -T
+// (functrace) let functions inherit the ERR and the DEBUG and RETURN traps
+const SET_OPTIONS = { b: 'notify', e: 'errexit', f: 'noglob', u: 'nounset', v: 'verbose', x: 'xtrace', C: 'noclobber', E: 'errtrace', T: 'functrace' };
+
+// Names of the options of set -o, including those without a letter:
+// pipefail makes a pipeline fail if any of its commands does
+const SET_OPTION_NAMES = [...Object.values(SET_OPTIONS), 'pipefail'].sort();
+
+// Options of shopt: dotglob lets patterns match names starting with .,
+// failglob makes a pattern matching nothing an error, inherit_errexit
+// keeps set -e in command substitutions, nocaseglob ignores case and
+// nullglob removes a pattern matching nothing
+const SHOPT_OPTIONS = ['dotglob', 'failglob', 'inherit_errexit', 'nocaseglob', 'nullglob'];
+
+// Create the state of the main shell. A subshell (a pipeline stage
+// other than the last, or a command substitution) works on a copy, so
+// what it changes doesn't reach its parent.
+function createShellState() {
+  // Shell variables: name -> { value, exported, readonly }. The value is
+  // undefined for variables declared without one (export NAME). Exported
+  // variables make up the environment of child processes.
+  const variables = new Map();
+  for (const [name, value] of Object.entries(process.env)) {
+    variables.set(name, { value, exported: true, readonly: false });
+  }
+  // The prefix of the commands set -x prints
+  if (!variables.has('PS4')) {
+    variables.set('PS4', { value: '+ ', exported: false, readonly: false });
+  }
+  
+  return {
+    // Exit code of the last command ($?)
+    lastExitCode: 0,
+    // Positional parameters ($1, $2, ...)
+    positionalParams: [],
+    variables,
+    // Shell functions: name -> { type: 'function', name, body }
+    functions: new Map(),
+    // Command aliases: name -> value
+    aliases: new Map(),
+    // Options changed with set, by their -o names (see SET_OPTIONS)
+    options: Object.fromEntries([...SET_OPTION_NAMES, ...SHOPT_OPTIONS].map(name => [name, false])),
+    // Working directory, which relative paths are resolved against
+    cwd: process.cwd(),
+    // Saved variable values for each active function call (for local)
+    localScopes: [],
+    // Number of loops currently executing (for break and continue)
+    loopDepth: 0,
+    // Number of active function calls and sourced files (for return)
+    returnDepth: 0,
+    // Status of the last command substitution, or null if none ran
+    // (used for the exit code of VAR=$(command) assignments)
+    lastSubstitutionStatus: null,
+    // Process ID of the last background job ($!), or null
+    lastBackgroundPid: null,
+    // The background job this shell runs, if any
+    job: null,
+    // The foreground pipeline being run, as { text }: programs that stop
+    // together become one job. pipelineStage is the index of the command
+    // of it this shell runs.
+    foregroundGroup: null,
+    pipelineStage: 0,
+    // Trap actions: EXIT, ERR, DEBUG, RETURN or a signal name (SIGINT)
+    // -> shell code to run, or '' to ignore the signal
+    traps: new Map(),
+    // Whether a trap action is running (ERR and DEBUG don't run in one)
+    runningTrap: false,
+    // Number of conditions being evaluated (commands there don't trigger
+    // the ERR trap; see runCondition)
+    conditionDepth: 0,
+  };
+}
+
+// Copy a shell's state for a subshell
+function copyShellState(state) {
+  const variables = new Map();
+  for (const [name, variable] of state.variables) {
+    variables.set(name, copyVariable(variable));
+  }
+  return {
+    ...state,
+    positionalParams: state.positionalParams.slice(),
+    variables,
+    functions: new Map(state.functions),
+    aliases: new Map(state.aliases),
+    options: { ...state.options },
+    localScopes: state.localScopes.map(scope => new Map(scope)),
+    // Only ignored signals stay that way in a subshell, which also keeps
+    // the traps functions inherit
+    traps: new Map(Array.from(state.traps).filter(([name, action]) => action === '' || inheritsTrap(state, name))),
+  };
+}
+
+const mainShell = createShellState();
+
+// Each asynchronous task runs with the state of its shell (see
+// runInSubshell)
+const shellContext = new AsyncLocalStorage();
+
+// Get the state of the running shell
+function shell() {
+  return shellContext.getStore() || mainShell;
+}
+
+// Run fn in a subshell with a copy of the current state. exit, return,
+// break and continue end only the subshell, which then runs its own EXIT
+// trap. Returns its exit status.
+function runInSubshell(fn) {
+  return shellContext.run(copyShellState(shell()), async () => {
+    let status;
+    try {
+      status = await fn();
+    } catch (err) {
+      if (err.exitShell || err.functionReturn) {
+        status = err.status;
+      } else if (err.loopControl) {
+        status = 0;
       } else {
-        result += `unalias: ${name}: not found\n`;
-        hasError = true;
+        throw err;
       }
     }
-    return { exitCode: hasError ? 1 : 0, output: result };
+    return runExitTrap(status);
+  });
+}
+
+// Resolve a path against the working directory of the running shell
+function resolvePath(target) {
+  return path.resolve(shell().cwd, target);
+}
+
+// Change the working directory of the running shell. The main shell's
+// is also the process's, which completion uses.
+function changeDirectory(target) {
+  const directory = resolvePath(target);
+  if (!fs.statSync(directory).isDirectory()) {
+    throw Object.assign(new Error('Not a directory'), { code: 'ENOTDIR' });
+  }
+  fs.accessSync(directory, fs.constants.X_OK);
+  shell().cwd = directory;
+  if (shell() === mainShell) {
+    process.chdir(directory);
+  }
+}
+
+// The shell or script name ($0)
+let shellName = 'shell';
+
+// Get the value of $0-$9 (or ${N}), $#, $*, $@ or $! as a single string
+function getSpecialParameter(name) {
+  if (name === '#') {
+    return String(shell().positionalParams.length);
+  }
+  if (name === '!') {
+    return shell().lastBackgroundPid === null ? '' : String(shell().lastBackgroundPid);
+  }
+  if (name === '-') {
+    return getOptionFlags();
+  }
+  if (name === '*' || name === '@') {
+    return shell().positionalParams.join(' ');
+  }
+  const index = parseInt(name, 10);
+  if (index === 0) {
+    return shellName;
+  }
+  return shell().positionalParams[index - 1] || '';
+}
+
+// Create the error for assigning to or unsetting a readonly variable
+function readonlyError(message) {
+  return expansionError(message);
+}
+
+// Check if a string is a valid variable name
+function isValidVariableName(name) {
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name);
+}
+
+// Get a variable's value, or undefined if it is unset
+function getVariable(name) {
+  const variable = shell().variables.get(name);
+  return variable ? variable.value : undefined;
+}
+
+// Copy a variable table entry, including its elements if it is an array
+function copyVariable(variable) {
+  const copy = { ...variable };
+  if (copy.array) {
+    copy.array = copy.array.slice();
+  }
+  return copy;
+}
+
+// Get the elements of an indexed array (made by read -a). Arrays may
+// have gaps; a scalar is an array of its one value.
+function getArrayElements(name) {
+  const variable = shell().variables.get(name);
+  if (!variable || (variable.value === undefined && !variable.array)) {
+    return [];
+  }
+  return variable.array || [variable.value];
+}
+
+// Make a variable an indexed array of the given elements. Its value,
+// used by $NAME, is the first element. Throws an expansion error if the
+// variable is readonly.
+function setArrayVariable(name, elements) {
+  const variable = shell().variables.get(name);
+  if (variable && variable.readonly) {
+    throw readonlyError(`${name}: readonly variable`);
+  }
+  shell().variables.set(name, { value: elements[0], array: elements.slice(), exported: false, readonly: false });
+}
+
+// Build the environment of a child process from the exported variables
+function childEnvironment() {
+  const env = {};
+  for (const [name, variable] of shell().variables) {
+    if (variable.exported && variable.value !== undefined) {
+      env[name] = variable.value;
+    }
+  }
+  return env;
+}
+
+// Set a variable's value, keeping its attributes. Throws an expansion
+// error if the variable is readonly.
+function setVariable(name, value) {
+  const variable = shell().variables.get(name);
+  if (!variable) {
+    shell().variables.set(name, { value, exported: false, readonly: false });
+    return;
+  }
+  if (variable.readonly) {
+    throw readonlyError(`${name}: readonly variable`);
+  }
+  variable.value = value;
+  if (variable.array) {
+    variable.array[0] = value;
+  }
+}
+
+// Remove a variable. Throws an expansion error if it is readonly.
+function unsetVariable(name) {
+  const variable = shell().variables.get(name);
+  if (variable && variable.readonly) {
+    throw readonlyError(`${name}: cannot unset: readonly variable`);
+  }
+  shell().variables.delete(name);
+}
+
+// Set the exported or readonly attribute of a variable, creating it
+// (without a value) if needed
+function setVariableAttribute(name, attribute, enabled) {
+  if (!shell().variables.has(name)) {
+    shell().variables.set(name, { value: undefined, exported: false, readonly: false });
+  }
+  shell().variables.get(name)[attribute] = enabled;
+}
+
+// Save a copy of a variable (undefined if it doesn't exist) so that it
+// can be put back with restoreVariable
+function saveVariable(name) {
+  const variable = shell().variables.get(name);
+  return variable ? copyVariable(variable) : undefined;
+}
+
+// Put back a variable saved with saveVariable
+function restoreVariable(name, saved) {
+  if (saved === undefined) {
+    shell().variables.delete(name);
+  } else {
+    shell().variables.set(name, copyVariable(saved));
+  }
+}
+
+// Quote a value so the shell reads it back unchanged (for set)
+function quoteShellValue(value) {
+  if (/^[A-Za-z0-9_.,:+=@%\/-]+$/.test(value)) {
+    return value;
+  }
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+// Format a variable as a declare command (for export -p and readonly -p)
+function formatDeclaration(name) {
+  const variable = shell().variables.get(name);
+  const flags = (variable.readonly ? 'r' : '') + (variable.exported ? 'x' : '');
+  if (variable.value === undefined) {
+    return `declare -${flags} ${name}\n`;
+  }
+  const value = variable.value.replace(/["\\$`]/g, '\\$&');
+  return `declare -${flags} ${name}="${value}"\n`;
+}
+
+// Run a command made only of NAME=value assignments. Returns the exit
+// status of the last command substitution in the values, or 1 on error.
+async function executeAssignments(assignments) {
+  let status = 0;
+  for (const { name, value } of assignments) {
+    status = await assignVariable(name, value);
+    if (status !== 0 && shell().lastSubstitutionStatus === null) {
+      break;
+    }
+  }
+  return status;
+}
+
+// Run fn with NAME=value prefix assignments exported for its duration
+// only (as in FOO=1 command), then put the variables back
+async function withTemporaryAssignments(assignments, fn) {
+  const saved = assignments.map(({ name }) => [name, saveVariable(name)]);
+  try {
+    for (const { name, value } of assignments) {
+      const status = await assignVariable(name, value);
+      if (status !== 0 && shell().lastSubstitutionStatus === null) {
+        return status;
+      }
+      setVariableAttribute(name, 'exported', true);
+    }
+    return await fn();
+  } finally {
+    for (const [name, variable] of saved.reverse()) {
+      restoreVariable(name, variable);
+    }
+  }
+}
+
+// Job control
+const jobs = [];
+
+// Job states
+const JOB_RUNNING = 'Running';
+const JOB_STOPPED = 'Stopped';
+const JOB_DONE = 'Done';
+
+// Counts job starts and stops, to find the current job (%+, the one most
+// recently started in the background or stopped) and the previous (%-)
+let jobUseCount = 0;
+
+// Add a job to the job table. A background job runs its command in a
+// copy of the shell (see executeBackgroundStatement), and each program
+// it starts is detached: it gets its own session and process group, so
+// the terminal's Ctrl-C and Ctrl-Z don't reach it, and the shell passes
+// those on when fg brings the job to the foreground. A job is also made
+// from the programs of a foreground command stopped with Ctrl-Z. Node
+// can't give a process a group of its own without also taking it out of
+// the terminal's session, so those stay in the shell's group and get
+// the terminal's signals directly (including a Ctrl-C meant for another
+// foreground command while they are stopped).
+function addJob(command, isBackground) {
+  const job = {
+    id: jobs.reduce((max, other) => Math.max(max, other.id), 0) + 1,
+    command: command,
+    // The job's programs, and the process ID that stands for the job
+    // (its first program's, as $! and jobs -l show it)
+    processes: [],
+    pid: null,
+    // The pipeline stage of each program of a stopped foreground job
+    stages: new Map(),
+    state: JOB_RUNNING,
+    background: isBackground,
+    detached: isBackground,
+    // Whether shell code runs in the job, and the signal that ended it
+    inShell: false,
+    killedBy: null,
+    // Programs and shell code of the job still running
+    running: 0,
+    // Whether the job's programs keep the shell from exiting on its own
+    referenced: false,
+    resumeWaiters: [],
+    status: null,
+    signal: null,
+    signals: new Set(),
+    used: ++jobUseCount,
+  };
+  job.finished = new Promise((resolve) => {
+    job.resolveFinished = resolve;
+  });
+  jobs.push(job);
+  return job;
+}
+
+// Add a program to a job. A job without shell code ends with the status
+// of the program added last; one with shell code forgets its programs as
+// they exit (a loop may start any number), keeping the signals that
+// killed them.
+function addJobProcess(job, proc) {
+  job.processes.push(proc);
+  job.running++;
+  if (job.pid === null && proc.pid !== undefined) {
+    job.pid = proc.pid;
+  }
+  if (!job.referenced) {
+    proc.unref();
+  }
+  proc.on('exit', (code, signal) => {
+    if (signal) {
+      job.signals.add(signal);
+    }
+    if (job.inShell) {
+      job.processes.splice(job.processes.indexOf(proc), 1);
+    }
+    completeJobPart(job);
+  });
+  proc.on('error', () => {
+    // A program that couldn't be started never exits
+    if (proc.pid === undefined) {
+      completeJobPart(job);
+    }
+  });
+}
+
+// Get the exit status of a program that has exited (128 plus the signal
+// number if a signal ended it)
+function processStatus(proc) {
+  if (proc.exitCode !== null) {
+    return proc.exitCode;
+  }
+  return proc.signalCode ? 128 + os.constants.signals[proc.signalCode] : 126;
+}
+
+// Check whether a program is still running (or stopped)
+function isProcessAlive(proc) {
+  return proc.pid !== undefined && proc.exitCode === null && proc.signalCode === null;
+}
+
+// Note that a program or the shell code of a job has finished. The job
+// is done when nothing in it is left running; it is reported as ended by
+// a signal if its status is that of one of its programs killed by it.
+function completeJobPart(job) {
+  if (--job.running > 0) {
+    return;
+  }
+  if (job.status === null) {
+    // With set -o pipefail the status is that of the last program to fail
+    const statuses = job.processes.map(processStatus);
+    job.status = mainShell.options.pipefail
+      ? statuses.reduce((result, status) => status !== 0 ? status : result, 0)
+      : (statuses.length > 0 ? statuses[statuses.length - 1] : 0);
+  }
+  const signal = job.status > 128 ? `SIG${SIGNAL_NAMES.get(job.status - 128)}` : null;
+  if (job.signals.has(signal)) {
+    job.signal = signal;
+  }
+  job.state = JOB_DONE;
+  job.resolveFinished(job.status);
+  
+  // With set -b, report it once anything else waiting for it (fg or
+  // wait) has had its turn
+  if (rl && mainShell.options.notify) {
+    setImmediate(notifyJobs);
+  }
+}
+
+// Let a job's programs keep the shell running (while fg or wait waits
+// for it) or not
+function setJobReferenced(job, referenced) {
+  job.referenced = referenced;
+  for (const proc of job.processes.filter(isProcessAlive)) {
+    if (referenced) {
+      proc.ref();
+    } else {
+      proc.unref();
+    }
+  }
+}
+
+// Continue a stopped job in the background or foreground
+function resumeJob(job, background) {
+  job.state = JOB_RUNNING;
+  job.background = background;
+  signalJob(job, 'SIGCONT');
+  for (const resolve of job.resumeWaiters.splice(0)) {
+    resolve();
+  }
+}
+
+// Check whether all of a job's running programs are stopped
+function isJobStopped(job) {
+  return job.processes.filter(isProcessAlive).every(isProcessStopped);
+}
+
+// Let the shell code of a background job give way to the prompt and
+// other jobs between loop iterations, and hold it while the job is
+// stopped
+async function pauseBackgroundJob() {
+  const job = shell().job;
+  if (!job) {
+    return;
+  }
+  await new Promise(resolve => setImmediate(resolve));
+  while (job.state === JOB_STOPPED) {
+    await new Promise(resolve => job.resumeWaiters.push(resolve));
+  }
+}
+
+// Remove a job from the job table
+function removeJob(job) {
+  const index = jobs.indexOf(job);
+  if (index !== -1) {
+    jobs.splice(index, 1);
+  }
+}
+
+// Remove completed jobs
+function cleanupJobs() {
+  for (let i = jobs.length - 1; i >= 0; i--) {
+    if (jobs[i].state === JOB_DONE) {
+      jobs.splice(i, 1);
+    }
+  }
+}
+
+// Get the current job (%+) and the previous job (%-), or null
+function getCurrentJobs() {
+  const recent = jobs.slice().sort((a, b) => b.used - a.used);
+  return [recent[0] || null, recent[1] || null];
+}
+
+// Find the job named by a job spec: %n (or just n), %+, %% or % (the
+// current job, also used when there is no spec), %- (the previous job),
+// %prefix (the job whose command starts with prefix) or %?text (whose
+// command contains text). Returns { job } or { error } with the message.
+function findJob(spec, cmd) {
+  const [current, previous] = getCurrentJobs();
+  if (spec === undefined || spec === '%' || spec === '%%' || spec === '%+') {
+    return current ? { job: current } : { error: `${cmd}: current: no such job\n` };
+  }
+  const noSuchJob = { error: `${cmd}: ${spec}: no such job\n` };
+  if (spec === '%-') {
+    return previous ? { job: previous } : noSuchJob;
+  }
+  
+  const name = spec.startsWith('%') ? spec.slice(1) : spec;
+  if (/^[0-9]+$/.test(name)) {
+    const job = jobs.find(other => other.id === parseInt(name, 10));
+    return job ? { job } : noSuchJob;
+  }
+  if (!spec.startsWith('%')) {
+    return noSuchJob;
+  }
+  const matches = name.startsWith('?')
+    ? jobs.filter(job => job.command.includes(name.slice(1)))
+    : jobs.filter(job => job.command.startsWith(name));
+  if (matches.length > 1) {
+    return { error: `${cmd}: ${spec}: ambiguous job spec\n` };
+  }
+  return matches.length === 1 ? { job: matches[0] } : noSuchJob;
+}
+
+// Get the + or - that marks the current and previous job, or a space
+function jobMarker(job) {
+  const [current, previous] = getCurrentJobs();
+  return job === current ? '+' : job === previous ? '-' : ' ';
+}
+
+// Descriptions of the signals that can end a job, as bash reports them
+const SIGNAL_DESCRIPTIONS = {
+  SIGHUP: 'Hangup',
+  SIGINT: 'Interrupt',
+  SIGQUIT: 'Quit',
+  SIGILL: 'Illegal instruction',
+  SIGTRAP: 'Trace/breakpoint trap',
+  SIGABRT: 'Aborted',
+  SIGBUS: 'Bus error',
+  SIGFPE: 'Floating point exception',
+  SIGKILL: 'Killed',
+  SIGUSR1: 'User defined signal 1',
+  SIGSEGV: 'Segmentation fault',
+  SIGUSR2: 'User defined signal 2',
+  SIGPIPE: 'Broken pipe',
+  SIGALRM: 'Alarm clock',
+  SIGTERM: 'Terminated',
+  SIGSTKFLT: 'Stack fault',
+  SIGXCPU: 'CPU time limit exceeded',
+  SIGXFSZ: 'File size limit exceeded',
+  SIGVTALRM: 'Virtual timer expired',
+  SIGPROF: 'Profiling timer expired',
+  SIGIO: 'I/O possible',
+  SIGPWR: 'Power failure',
+  SIGSYS: 'Bad system call',
+};
+
+// Describe a job's state: Running, Stopped, or for a finished job Done,
+// "Exit 2" for a failure or the signal that ended it ("Killed")
+function describeJobState(job) {
+  if (job.state !== JOB_DONE) {
+    return job.state;
+  }
+  if (job.signal) {
+    return SIGNAL_DESCRIPTIONS[job.signal] || `Signal ${os.constants.signals[job.signal]}`;
+  }
+  return job.status ? `Exit ${job.status}` : JOB_DONE;
+}
+
+// Format a job for jobs and job notifications, as in
+// "[1]+  Stopped                 vim notes.txt" (with the process ID
+// after the marker if showPid is set)
+function formatJob(job, showPid = false) {
+  const pid = showPid ? ` ${job.pid === null ? '' : job.pid} ` : '  ';
+  const suffix = job.background && job.state === JOB_RUNNING ? ' &' : '';
+  return `[${job.id}]${jobMarker(job)}${pid}${describeJobState(job).padEnd(24)}${job.command}${suffix}\n`;
+}
+
+// Report finished jobs, as in "[1]+  Done                    sleep 5",
+// and remove them from the job table. Jobs are reported before each
+// prompt, or as soon as they finish with set -b; a report made while
+// the prompt is showing redraws it and the line being typed below.
+function notifyJobs() {
+  const finished = jobs.filter(job => job.state === JOB_DONE);
+  if (finished.length === 0) {
+    return;
+  }
+  let report = '';
+  for (const job of finished) {
+    report += formatJob(job);
+  }
+  cleanupJobs();
+  
+  if (atPrompt) {
+    readline.clearLine(process.stdout, 0);
+    readline.cursorTo(process.stdout, 0);
+    process.stdout.write(report);
+    rl.prompt(true);
+  } else {
+    process.stdout.write(report);
+  }
+}
+
+// Signals that don't end a program by default
+const NONFATAL_SIGNALS = ['SIGCHLD', 'SIGCONT', 'SIGSTOP', 'SIGTSTP', 'SIGTTIN', 'SIGTTOU', 'SIGURG', 'SIGWINCH'];
+
+// Send a signal (by name or number) to each running program of a job, to
+// its whole process group if it has its own. A signal that would end a
+// program also ends the job's shell code, before its next command.
+function signalJob(job, signal) {
+  for (const proc of job.processes.filter(isProcessAlive)) {
+    try {
+      process.kill(job.detached ? -proc.pid : proc.pid, signal);
+    } catch (err) {
+      // The program has just exited
+    }
+  }
+  const number = typeof signal === 'number' ? signal : os.constants.signals[signal];
+  if (job.inShell && number !== 0 && !NONFATAL_SIGNALS.includes(`SIG${SIGNAL_NAMES.get(number)}`)) {
+    job.killedBy = number;
+  }
+}
+
+// Signal names by number, without the SIG prefix ("HUP", "INT", ...),
+// taking the first name listed where two share a number
+const SIGNAL_NAMES = new Map();
+for (const [name, number] of Object.entries(os.constants.signals)) {
+  if (!SIGNAL_NAMES.has(number)) {
+    SIGNAL_NAMES.set(number, name.slice(3));
+  }
+}
+
+// Look up a signal by name (TERM, SIGTERM or sigterm) or number and
+// return its number, or null if there is no such signal. 0 is accepted
+// too: it only checks that a process exists.
+function parseSignal(spec) {
+  if (/^[0-9]+$/.test(spec)) {
+    const number = parseInt(spec, 10);
+    return number === 0 || SIGNAL_NAMES.has(number) ? number : null;
+  }
+  const name = spec.toUpperCase().replace(/^SIG/, '');
+  const number = os.constants.signals[`SIG${name}`];
+  return number === undefined ? null : number;
+}
+
+// Traps that aren't signals: EXIT runs as the shell ends, ERR after a
+// command fails, DEBUG before each simple command and RETURN when a
+// function or sourced file returns
+const TRAP_EVENTS = ['EXIT', 'DEBUG', 'ERR', 'RETURN'];
+
+// Traps a function doesn't inherit from its caller
+const FUNCTION_TRAPS = ['DEBUG', 'ERR', 'RETURN'];
+
+// Check whether functions and subshells inherit one of FUNCTION_TRAPS:
+// ERR with set -E, DEBUG and RETURN with set -T
+function inheritsTrap(state, name) {
+  return name === 'ERR' ? state.options.errtrace : FUNCTION_TRAPS.includes(name) && state.options.functrace;
+}
+
+// Signals no process can catch
+const UNCATCHABLE_SIGNALS = ['SIGKILL', 'SIGSTOP'];
+
+// Signals an interactive shell always handles: Ctrl-C interrupts the
+// command line, SIGTERM and SIGQUIT are ignored and SIGHUP ends it
+const INTERACTIVE_SIGNALS = ['SIGINT', 'SIGTERM', 'SIGQUIT', 'SIGHUP'];
+
+// Look up the condition or signal a trap is set on: EXIT (or 0), ERR,
+// DEBUG, RETURN or a signal name or number, giving its name as it is
+// listed (SIGINT), or null if there is no such signal
+function parseTrapSignal(spec) {
+  const name = spec.toUpperCase();
+  if (spec === '0' || name === 'EXIT' || name === 'SIGEXIT') {
+    return 'EXIT';
+  }
+  if (TRAP_EVENTS.includes(name)) {
+    return name;
+  }
+  const number = parseSignal(spec);
+  return number === null || number === 0 ? null : `SIG${SIGNAL_NAMES.get(number)}`;
+}
+
+// Run the action of a trap set in the running shell, keeping $? as it
+// was. exit in the action ends the shell as usual.
+async function runTrap(name) {
+  const action = shell().traps.get(name);
+  if (!action) {
+    return;
+  }
+  const status = shell().lastExitCode;
+  const wasRunningTrap = shell().runningTrap;
+  shell().runningTrap = true;
+  try {
+    await executeSource(action, 'trap');
+  } finally {
+    shell().runningTrap = wasRunningTrap;
+    shell().lastExitCode = status;
+  }
+}
+
+// Run the EXIT trap of a shell that is ending with a status, and return
+// the status to end with (changed if the trap runs exit)
+async function runExitTrap(status) {
+  const action = shell().traps.get('EXIT');
+  if (!action) {
+    return status;
+  }
+  shell().traps.delete('EXIT');
+  shell().lastExitCode = status;
+  try {
+    await executeSource(action, 'trap');
+  } catch (err) {
+    if (!err.exitShell) {
+      throw err;
+    }
+    return err.status;
+  }
+  return status;
+}
+
+// Run fn as a condition: an if, while or until test, a command before
+// && or ||, or a negated pipeline. A failure there is not an error.
+async function runCondition(fn) {
+  shell().conditionDepth++;
+  try {
+    return await fn();
+  } finally {
+    shell().conditionDepth--;
+  }
+}
+
+// Check whether a simple command, subshell, [[ ]] or pipeline that has
+// just run failed (a negated pipeline never does), and if so run the ERR
+// trap and exit with set -e, unless it was part of a condition
+async function handleCommandFailure(statement) {
+  const failed = shell().lastExitCode !== 0
+    && (['simple', 'subshell', 'conditional'].includes(statement.type) || (statement.type === 'pipeline' && !statement.negated));
+  if (!failed || shell().conditionDepth > 0) {
+    return;
+  }
+  if (!shell().runningTrap) {
+    await runTrap('ERR');
+  }
+  if (shell().options.errexit) {
+    throw { exitShell: true, status: shell().lastExitCode };
+  }
+}
+
+// Signals with a trap waiting to run, in order of arrival
+const pendingTraps = [];
+
+// Whether Ctrl-C has interrupted the command line being run
+let interruptPending = false;
+
+// Callbacks of builtins waiting to be interrupted by a signal (wait)
+const signalWaiters = new Set();
+
+// The shell's listener for each signal it catches for traps
+const signalListeners = new Map();
+
+// Handle a signal the shell has caught. A trapped signal has its action
+// run once the current command finishes (straight away at the prompt);
+// otherwise an interactive shell interrupts the command line on SIGINT
+// and ignores SIGTERM and SIGQUIT, and other signals end the shell
+// after its EXIT trap.
+function receiveSignal(name) {
+  const action = mainShell.traps.get(name);
+  if (action === '') {
+    return;
+  }
+  if (rl && (name === 'SIGTERM' || name === 'SIGQUIT') && action === undefined) {
+    return;
+  }
+  for (const wake of signalWaiters) {
+    wake(name);
+  }
+  
+  if (action !== undefined) {
+    pendingTraps.push(name);
+    if (atPrompt) {
+      runTrapsAtPrompt();
+    }
+  } else if (rl && name === 'SIGINT') {
+    interruptPending = true;
+  } else {
+    exitShell(128 + os.constants.signals[name]);
+  }
+}
+
+// Catch the signals that have traps in the main shell (and, while it has
+// an EXIT trap, those that would end it), leaving the rest to their
+// default action
+function updateSignalListeners() {
+  const wanted = new Set();
+  for (const name of mainShell.traps.keys()) {
+    if (name.startsWith('SIG') && !UNCATCHABLE_SIGNALS.includes(name)) {
+      wanted.add(name);
+    }
+  }
+  if (mainShell.traps.has('EXIT')) {
+    ['SIGHUP', 'SIGINT', 'SIGTERM'].forEach(name => wanted.add(name));
+  }
+  if (rl) {
+    INTERACTIVE_SIGNALS.forEach(name => wanted.delete(name));
+  }
+  
+  for (const [name, listener] of signalListeners) {
+    if (!wanted.has(name)) {
+      process.off(name, listener);
+      signalListeners.delete(name);
+    }
+  }
+  for (const name of wanted) {
+    if (!signalListeners.has(name)) {
+      const listener = () => receiveSignal(name);
+      signalListeners.set(name, listener);
+      process.on(name, listener);
+    }
+  }
+}
+
+// Deal with signals that arrived while a command ran: the main shell runs
+// their traps, and a command killed by Ctrl-C stops the rest of the
+// command line (except in background jobs, which the terminal doesn't
+// interrupt)
+async function handleSignals() {
+  if (interruptPending && !shell().job && shell().lastExitCode === 128 + os.constants.signals.SIGINT) {
+    throw { interrupted: true };
+  }
+  if (shell() !== mainShell || shell().runningTrap) {
+    return;
+  }
+  while (pendingTraps.length > 0) {
+    await runTrap(pendingTraps.shift());
+  }
+}
+
+// Execute commands from a file (for source builtin and profile loading)
+async function executeFile(filePath) {
+  let content;
+  try {
+    content = await readInputFile(filePath);
+  } catch (err) {
+    return false;
+  }
+  
+  shell().returnDepth++;
+  try {
+    await executeSource(content, filePath);
+  } catch (err) {
+    if (!err.functionReturn) {
+      throw err;
+    }
+    shell().lastExitCode = err.status;
+  } finally {
+    shell().returnDepth--;
+  }
+  await runTrap('RETURN');
+  return true;
+}
+
+// Names of all builtin commands
+const BUILTIN_COMMANDS = ['echo', 'exit', 'type', 'pwd', 'cd', 'history', 'source', 'jobs', 'fg', 'bg', 'alias', 'unalias', 'break', 'continue', 'local', 'return', 'let', 'export', 'readonly', 'unset', 'set', 'read', 'kill', 'wait', 'disown', 'trap', 'shopt', 'test', '[', 'printf'];
+
+// Check if command is a builtin
+function isBuiltin(cmd) {
+  return BUILTIN_COMMANDS.includes(cmd);
+}
+
+// Execute builtin command and return { exitCode, output, error }, where
+// output is written to its stdout and error to its stderr
+async function executeBuiltin(cmd, cmdArgs) {
+  if (cmd === 'echo') {
+    return executeEcho(cmdArgs);
+  } else if (cmd === 'printf') {
+    return executePrintf(cmdArgs);
+  } else if (cmd === 'pwd') {
+    return { exitCode: 0, output: shell().cwd + '\n' };
+  } else if (cmd === 'type') {
+    const arg = cmdArgs[0];
+
+    // Check if it's an alias first
+    if (shell().aliases.has(arg)) {
+      return { exitCode: 0, output: `${arg} is aliased to '${shell().aliases.get(arg)}'\n` };
+    }
+    
+    if (RESERVED_WORDS.includes(arg)) {
+      return { exitCode: 0, output: `${arg} is a shell keyword\n` };
+    }
+    
+    if (shell().functions.has(arg)) {
+      const definition = formatStatement(shell().functions.get(arg), 0).join('\n');
+      return { exitCode: 0, output: `${arg} is a function\n${definition}\n` };
+    }
+    
+    if (BUILTIN_COMMANDS.includes(arg)) {
+      return { exitCode: 0, output: `${arg} is a shell builtin\n` };
+    }
+    const executablePath = findExecutable(arg);
+    if (executablePath) {
+      return { exitCode: 0, output: `${arg} is ${executablePath}\n` };
+    }
+    return { exitCode: 1, error: `${arg}: not found\n` };
+  } else if (cmd === 'history') {
+    // Check for -r flag (read from file)
+    if (cmdArgs[0] === '-r' && cmdArgs[1]) {
+      const filePath = cmdArgs[1];
+      try {
+        const fileContent = fs.readFileSync(resolvePath(filePath), 'utf8');
+        const lines = fileContent.split('\n');
+        for (const line of lines) {
+          if (line.trim()) {
+            commandHistory.push(line);
+          }
+        }
+        return { exitCode: 0, output: '' };
+      } catch (err) {
+        return { exitCode: 1, error: `history: ${filePath}: No such file or directory\n` };
+      }
+    }
+    
+    // Check for -w flag (write to file)
+    if (cmdArgs[0] === '-w' && cmdArgs[1]) {
+      const filePath = cmdArgs[1];
+      try {
+        // Write all commands to file with trailing newline
+        const content = commandHistory.join('\n') + '\n';
+        fs.writeFileSync(resolvePath(filePath), content, 'utf8');
+        lastWrittenIndex = commandHistory.length;
+        return { exitCode: 0, output: '' };
+      } catch (err) {
+        return { exitCode: 1, error: `history: ${filePath}: cannot write history file\n` };
+      }
+    }
+    
+    // Check for -a flag (append to file)
+    if (cmdArgs[0] === '-a' && cmdArgs[1]) {
+      const filePath = cmdArgs[1];
+      try {
+        // Only append commands since last write
+        const newCommands = commandHistory.slice(lastWrittenIndex);
+        if (newCommands.length > 0) {
+          const content = newCommands.join('\n') + '\n';
+          fs.appendFileSync(resolvePath(filePath), content, 'utf8');
+          lastWrittenIndex = commandHistory.length;
+        }
+        return { exitCode: 0, output: '' };
+      } catch (err) {
+        return { exitCode: 1, error: `history: ${filePath}: cannot append to history file\n` };
+      }
+    }
+    
+    // Normal history display
+    const limit = cmdArgs[0] ? parseInt(cmdArgs[0]) : commandHistory.length;
+    const startIndex = Math.max(0, commandHistory.length - limit);
+    let result = '';
+    for (let i = startIndex; i < commandHistory.length; i++) {
+      result += `    ${i + 1}  ${commandHistory[i]}\n`;
+    }
+    return { exitCode: 0, output: result };
+  } else if (cmd === 'cd') {
+    // cd with no argument (or ~) goes to $HOME
+    const dir = cmdArgs[0] === undefined || cmdArgs[0] === '~' ? getVariable('HOME') : cmdArgs[0];
+    if (dir === undefined) {
+      return { exitCode: 1, error: 'cd: HOME not set\n' };
+    }
+    try {
+      changeDirectory(dir);
+      return { exitCode: 0, output: '' };
+    } catch (err) {
+      return { exitCode: 1, error: `cd: ${dir}: ${fileErrorMessage(err)}\n` };
+    }
+  } else if (cmd === 'source') {
+    if (!cmdArgs[0]) {
+      return { exitCode: 1, error: 'source: filename required\n' };
+    }
+    const filePath = cmdArgs[0].replace(/^~/, getVariable('HOME') || '');
+    const success = await executeFile(filePath);
+    if (!success) {
+      return { exitCode: 1, error: `source: ${cmdArgs[0]}: No such file or directory\n` };
+    }
+    return { exitCode: shell().lastExitCode, output: '' };
+  } else if (cmd === 'jobs') {
+    // List jobs (or the given ones): -l adds process IDs, -p shows only
+    // process IDs, -r and -s show only running or stopped jobs
+    let flags = '';
+    let specs = cmdArgs;
+    while (specs.length > 0 && specs[0].startsWith('-') && specs[0] !== '-') {
+      if (specs[0] === '--') {
+        specs = specs.slice(1);
+        break;
+      }
+      if (!/^-[lprs]+$/.test(specs[0])) {
+        return { exitCode: 2, error: `jobs: ${specs[0]}: invalid option\njobs: usage: jobs [-lprs] [jobspec ...]\n` };
+      }
+      flags += specs[0].slice(1);
+      specs = specs.slice(1);
+    }
+    
+    let selected = jobs.slice().sort((a, b) => a.id - b.id);
+    let errors = '';
+    if (specs.length > 0) {
+      selected = [];
+      for (const spec of specs) {
+        const { job, error } = findJob(spec, 'jobs');
+        if (job) {
+          selected.push(job);
+        } else {
+          errors += error;
+        }
+      }
+    }
+    
+    let result = '';
+    for (const job of selected) {
+      if ((flags.includes('r') && job.state !== JOB_RUNNING) || (flags.includes('s') && job.state !== JOB_STOPPED)) {
+        continue;
+      }
+      if (!flags.includes('p')) {
+        result += formatJob(job, flags.includes('l'));
+      } else if (job.pid !== null) {
+        result += `${job.pid}\n`;
+      }
+    }
+    
+    // Finished jobs are only listed once
+    selected.filter(job => job.state === JOB_DONE).forEach(removeJob);
+    return { exitCode: errors ? 1 : 0, output: result, error: errors };
+  } else if (cmd === 'fg') {
+    // Resume a job (the current one by default) in the foreground and
+    // wait for it to finish or be stopped again
+    const { job, error } = findJob(cmdArgs[0], 'fg');
+    if (!job) {
+      return { exitCode: 1, error };
+    }
+    if (job.state === JOB_DONE) {
+      return { exitCode: 1, error: 'fg: job has terminated\n' };
+    }
+    
+    writeToFd(currentStdio()[1], `${job.command}\n`);
+    resumeJob(job, false);
+    setJobReferenced(job, true);
+    const status = await waitForJob(job);
+    if (job.state === JOB_STOPPED) {
+      setJobReferenced(job, false);
+    } else {
+      removeJob(job);
+    }
+    return { exitCode: status, output: '' };
+  } else if (cmd === 'bg') {
+    // Resume stopped jobs (the current one by default) in the background
+    let result = '';
+    let errors = '';
+    let hasError = false;
+    for (const spec of cmdArgs.length > 0 ? cmdArgs : [undefined]) {
+      const { job, error } = findJob(spec, 'bg');
+      if (!job) {
+        errors += error;
+        hasError = true;
+      } else if (job.state === JOB_DONE) {
+        errors += 'bg: job has terminated\n';
+        hasError = true;
+      } else if (job.state === JOB_RUNNING) {
+        errors += `bg: job ${job.id} already in background\n`;
+      } else {
+        resumeJob(job, true);
+        result += `[${job.id}]${jobMarker(job)} ${job.command} &\n`;
+      }
+    }
+    return { exitCode: hasError ? 1 : 0, output: result, error: errors };
+  } else if (cmd === 'kill') {
+    return executeKill(cmdArgs);
+  } else if (cmd === 'trap') {
+    return executeTrap(cmdArgs);
+  } else if (cmd === 'wait') {
+    return executeWait(cmdArgs);
+  } else if (cmd === 'shopt') {
+    return executeShopt(cmdArgs);
+  } else if (cmd === 'test' || cmd === '[') {
+    return executeTest(cmd, cmdArgs);
+  } else if (cmd === 'disown') {
+    // Remove jobs (the current one by default) from the job table, or
+    // with -h keep them but don't send them SIGHUP when the shell exits
+    let flags = '';
+    let specs = cmdArgs;
+    while (specs.length > 0 && specs[0].startsWith('-') && specs[0] !== '-') {
+      if (specs[0] === '--') {
+        specs = specs.slice(1);
+        break;
+      }
+      if (!/^-[ahr]+$/.test(specs[0])) {
+        return { exitCode: 2, error: `disown: ${specs[0]}: invalid option\ndisown: usage: disown [-h] [-ar] [jobspec ... | pid ...]\n` };
+      }
+      flags += specs[0].slice(1);
+      specs = specs.slice(1);
+    }
+    
+    let selected = [];
+    let errors = '';
+    if (specs.length > 0) {
+      for (const spec of specs) {
+        const job = jobs.find(other => String(other.pid) === spec);
+        const found = job ? { job } : findJob(spec, 'disown');
+        if (found.job) {
+          selected.push(found.job);
+        } else {
+          errors += found.error;
+        }
+      }
+    } else if (flags.includes('a') || flags.includes('r')) {
+      selected = jobs.slice();
+    } else {
+      const { job, error } = findJob(undefined, 'disown');
+      if (!job) {
+        return { exitCode: 1, error };
+      }
+      selected.push(job);
+    }
+    
+    for (const job of selected) {
+      if (flags.includes('r') && job.state !== JOB_RUNNING) {
+        continue;
+      }
+      if (flags.includes('h')) {
+        job.nohup = true;
+      } else {
+        removeJob(job);
+      }
+    }
+    return { exitCode: errors ? 1 : 0, output: '', error: errors };
+  } else if (cmd === 'alias') {
+    // Handle alias builtin
+    if (cmdArgs.length === 0) {
+      // List all aliases
+      let result = '';
+      const sortedAliases = Array.from(shell().aliases.entries()).sort();
+      for (const [name, value] of sortedAliases) {
+        result += `alias ${name}='${value}'\n`;
+      }
+      return { exitCode: 0, output: result };
+    }
+    
+    // Check if it's alias name='value' format
+    const fullArg = cmdArgs.join(' ');
+    const aliasMatch = fullArg.match(/^([A-Za-z_][A-Za-z0-9_]*)=(.*)$/);
+    
+    if (aliasMatch) {
+      // Setting an alias
+      const name = aliasMatch[1];
+      let value = aliasMatch[2];
+      
+      // Remove surrounding quotes if present
+      if ((value.startsWith("'") && value.endsWith("'")) || 
+          (value.startsWith('"') && value.endsWith('"'))) {
+        value = value.slice(1, -1);
+      }
+      
+      shell().aliases.set(name, value);
+      return { exitCode: 0, output: '' };
+    } else {
+      // Show specific alias(es)
+      let result = '';
+      let errors = '';
+      let hasError = false;
+      for (const name of cmdArgs) {
+        if (shell().aliases.has(name)) {
+          result += `alias ${name}='${shell().aliases.get(name)}'\n`;
+        } else {
+          errors += `alias: ${name}: not found\n`;
+          hasError = true;
+        }
+      }
+      return { exitCode: hasError ? 1 : 0, output: result, error: errors };
+    }
+  } else if (cmd === 'break' || cmd === 'continue') {
+    // Leave (or skip to the next iteration of) the N innermost loops
+    if (shell().loopDepth === 0) {
+      return { exitCode: 0, error: `${cmd}: only meaningful in a 'for', 'while', or 'until' loop\n` };
+    }
+    const levels = cmdArgs[0] ? parseInt(cmdArgs[0], 10) : 1;
+    if (isNaN(levels) || levels < 1) {
+      return { exitCode: 1, error: `${cmd}: ${cmdArgs[0]}: loop count out of range\n` };
+    }
+    throw { loopControl: cmd, levels: Math.min(levels, shell().loopDepth) };
+  } else if (cmd === 'local') {
+    // Declare variables local to the current function
+    if (shell().localScopes.length === 0) {
+      return { exitCode: 1, error: 'local: can only be used in a function\n' };
+    }
+    const scope = shell().localScopes[shell().localScopes.length - 1];
+    let errors = '';
+    let hasError = false;
+    for (const arg of cmdArgs) {
+      const match = arg.match(/^([A-Za-z_][A-Za-z0-9_]*)(?:=([\s\S]*))?$/);
+      if (!match) {
+        errors += `local: '${arg}': not a valid identifier\n`;
+        hasError = true;
+        continue;
+      }
+      const name = match[1];
+      const variable = shell().variables.get(name);
+      if (variable && variable.readonly) {
+        errors += `local: ${name}: readonly variable\n`;
+        hasError = true;
+        continue;
+      }
+      // Remember the caller's variable so it can be restored on return
+      if (!scope.has(name)) {
+        scope.set(name, saveVariable(name));
+      }
+      // The local variable starts out unexported
+      shell().variables.set(name, { value: match[2], exported: false, readonly: false });
+    }
+    return { exitCode: hasError ? 1 : 0, error: errors };
+  } else if (cmd === 'return') {
+    // Return from a function or sourced file
+    if (shell().returnDepth === 0) {
+      return { exitCode: 1, error: "return: can only 'return' from a function or sourced script\n" };
+    }
+    let status = shell().lastExitCode;
+    if (cmdArgs[0] !== undefined) {
+      status = parseInt(cmdArgs[0], 10);
+      if (isNaN(status)) {
+        return { exitCode: 2, error: `return: ${cmdArgs[0]}: numeric argument required\n` };
+      }
+    }
+    throw { functionReturn: true, status: status & 255 };
+  } else if (cmd === 'exit') {
+    // Leave the shell with the given status, or $? by default. The
+    // caller decides what is left: a command substitution or pipeline
+    // stage only ends itself.
+    let status = shell().lastExitCode;
+    if (cmdArgs[0] !== undefined) {
+      status = parseInt(cmdArgs[0], 10);
+      if (isNaN(status)) {
+        writeToFd(currentStdio()[2], `exit: ${cmdArgs[0]}: numeric argument required\n`);
+        status = 2;
+      }
+    }
+    
+    // Leaving an interactive shell with stopped jobs takes a second exit
+    // straight after the warning
+    if (rl && shell() === mainShell && jobs.some(job => job.state === JOB_STOPPED)
+        && stoppedJobsWarning !== promptCount - 1) {
+      stoppedJobsWarning = promptCount;
+      return { exitCode: 1, error: 'There are stopped jobs.\n' };
+    }
+    throw { exitShell: true, status: status & 255 };
+  } else if (cmd === 'let') {
+    // Evaluate each argument as an arithmetic expression
+    if (cmdArgs.length === 0) {
+      return { exitCode: 1, error: 'let: expression expected\n' };
+    }
+    let value = 0n;
+    try {
+      for (const arg of cmdArgs) {
+        value = evaluateArithmetic(arg);
+      }
+    } catch (err) {
+      if (err.expansion) {
+        return { exitCode: 1, error: `${err.message}\n` };
+      }
+      if (!err.arithmetic) {
+        throw err;
+      }
+      return { exitCode: 1, error: `let: ${err.message}\n` };
+    }
+    // Like ((...)), the status is 1 if the last value is 0
+    return { exitCode: value !== 0n ? 0 : 1, output: '' };
+  } else if (cmd === 'export' || cmd === 'readonly') {
+    // Mark variables for export to child processes (export -n undoes
+    // it), or as readonly. -p or no names lists the marked variables.
+    const attribute = cmd === 'export' ? 'exported' : 'readonly';
+    const validOptions = cmd === 'export' ? /^-[np]+$/ : /^-p+$/;
+    let enabled = true;
+    let names = cmdArgs;
+    while (names.length > 0 && names[0].startsWith('-') && names[0] !== '-') {
+      if (names[0] === '--') {
+        names = names.slice(1);
+        break;
+      }
+      if (!validOptions.test(names[0])) {
+        return { exitCode: 2, error: `${cmd}: ${names[0]}: invalid option\n` };
+      }
+      if (names[0].includes('n')) {
+        enabled = false;
+      }
+      names = names.slice(1);
+    }
+    
+    if (names.length === 0) {
+      let result = '';
+      for (const name of Array.from(shell().variables.keys()).sort()) {
+        if (shell().variables.get(name)[attribute]) {
+          result += formatDeclaration(name);
+        }
+      }
+      return { exitCode: 0, output: result };
+    }
+    
+    let errors = '';
+    let hasError = false;
+    for (const arg of names) {
+      const match = arg.match(/^([^=]*)(?:=([\s\S]*))?$/);
+      const name = match[1];
+      if (!isValidVariableName(name)) {
+        errors += `${cmd}: '${arg}': not a valid identifier\n`;
+        hasError = true;
+        continue;
+      }
+      try {
+        if (match[2] !== undefined) {
+          setVariable(name, match[2]);
+        }
+        setVariableAttribute(name, attribute, enabled);
+      } catch (err) {
+        if (!err.expansion) {
+          throw err;
+        }
+        errors += `${err.message}\n`;
+        hasError = true;
+      }
+    }
+    return { exitCode: hasError ? 1 : 0, error: errors };
+  } else if (cmd === 'unset') {
+    // Remove variables, or functions with -f. Without -v or -f a name
+    // that isn't a variable is removed as a function.
+    let mode = null;
+    let names = cmdArgs;
+    while (names.length > 0 && /^-[fv]$/.test(names[0])) {
+      mode = names[0][1];
+      names = names.slice(1);
+    }
+    
+    let errors = '';
+    let hasError = false;
+    for (const name of names) {
+      if (mode === 'f') {
+        shell().functions.delete(name);
+        continue;
+      }
+      if (!isValidVariableName(name)) {
+        errors += `unset: '${name}': not a valid identifier\n`;
+        hasError = true;
+        continue;
+      }
+      if (mode === null && !shell().variables.has(name) && shell().functions.has(name)) {
+        shell().functions.delete(name);
+        continue;
+      }
+      try {
+        unsetVariable(name);
+      } catch (err) {
+        if (!err.expansion) {
+          throw err;
+        }
+        errors += `unset: ${err.message}\n`;
+        hasError = true;
+      }
+    }
+    return { exitCode: hasError ? 1 : 0, error: errors };
+  } else if (cmd === 'set') {
+    // With no arguments, list all shell variables
+    if (cmdArgs.length === 0) {
+      let result = '';
+      for (const name of Array.from(shell().variables.keys()).sort()) {
+        const variable = shell().variables.get(name);
+        if (variable.array) {
+          // Arrays are listed as NAME=([0]=value [1]=value)
+          const elements = [];
+          variable.array.forEach((element, index) => {
+            elements.push(`[${index}]=${quoteShellValue(element)}`);
+          });
+          result += `${name}=(${elements.join(' ')})\n`;
+        } else if (variable.value !== undefined) {
+          result += `${name}=${quoteShellValue(variable.value)}\n`;
+        }
+      }
+      return { exitCode: 0, output: result };
+    }
+    // set -- args (or set args) replaces the positional parameters
+    if (cmdArgs[0] === '--') {
+      shell().positionalParams = cmdArgs.slice(1);
+      return { exitCode: 0, output: '' };
+    }
+    // set -e / set -o errexit turn an option on, + turns it off
+    const { used: index, result } = applyShellOptions(cmdArgs, 'set');
+    if (result) {
+      return result;
+    }
+    if (index > 0) {
+      if (cmdArgs[index] === '--') {
+        shell().positionalParams = cmdArgs.slice(index + 1);
+      } else if (index < cmdArgs.length) {
+        shell().positionalParams = cmdArgs.slice(index);
+      }
+      return { exitCode: 0, output: '' };
+    }
+    shell().positionalParams = cmdArgs.slice();
+    return { exitCode: 0, output: '' };
+  } else if (cmd === 'read') {
+    return executeRead(cmdArgs);
+  } else if (cmd === 'unalias') {
+    // Handle unalias builtin
+    if (cmdArgs.length === 0) {
+      return { exitCode: 1, error: 'unalias: usage: unalias name [name ...]\n' };
+    }
+    
+    let hasError = false;
+    let errors = '';
+    for (const name of cmdArgs) {
+      if (shell().aliases.has(name)) {
+        shell().aliases.delete(name);
+      } else {
+        errors += `unalias: ${name}: not found\n`;
+        hasError = true;
+      }
+    }
+    return { exitCode: hasError ? 1 : 0, error: errors };
+  }
+  return { exitCode: 0, output: '' };
+}
+
+// List options as set -o and shopt do ("noclobber      \toff"), or as
+// the commands that restore them
+function formatOptions(names, asCommands, formatCommand) {
+  let output = '';
+  for (const name of names) {
+    const value = shell().options[name];
+    output += asCommands ? `${formatCommand(name, value)}\n` : `${name.padEnd(15)}\t${value ? 'on' : 'off'}\n`;
+  }
+  return output;
+}
+
+// Apply the options at the start of args, as given to set or on the
+// command line: -e turns an option on by letter and +e off (letters can
+// be combined, as in -eux), -o name and +o name do the same by name.
+// Returns the number of arguments used, and a result to finish with
+// when there was an error or a listing (-o with no name).
+function applyShellOptions(args, prefix) {
+  let index = 0;
+  while (index < args.length && /^[-+]./.test(args[index]) && args[index] !== '--') {
+    const arg = args[index];
+    const enable = arg[0] === '-';
+    if (arg.slice(1) === 'o') {
+      const name = args[index + 1];
+      if (name === undefined) {
+        // -o lists the options, +o as commands to restore them
+        const output = formatOptions(SET_OPTION_NAMES, !enable, (option, value) => `set ${value ? '-' : '+'}o ${option}`);
+        return { used: index + 1, result: { exitCode: 0, output } };
+      }
+      if (!SET_OPTION_NAMES.includes(name)) {
+        return { used: index, result: { exitCode: 2, error: `${prefix}: ${name}: invalid option name\n` } };
+      }
+      shell().options[name] = enable;
+      index += 2;
+      continue;
+    }
+    for (const letter of arg.slice(1)) {
+      if (!SET_OPTIONS[letter]) {
+        return { used: index, result: { exitCode: 2, error: `${prefix}: ${arg[0]}${letter}: invalid option\n` } };
+      }
+      shell().options[SET_OPTIONS[letter]] = enable;
+    }
+    index++;
+  }
+  return { used: index, result: null };
+}
+
+// The letters of the options that are on ($-), with i if interactive
+function getOptionFlags() {
+  let flags = '';
+  for (const [letter, name] of Object.entries(SET_OPTIONS)) {
+    if (shell().options[name]) {
+      flags += letter;
+    }
+    if (letter === 'f' && rl) {
+      flags += 'i';
+    }
+  }
+  return flags;
+}
+
+const SHOPT_USAGE = 'shopt: usage: shopt [-pqsu] [-o] [optname ...]\n';
+
+// Set and list shell options: shopt -s name... turns them on, -u off,
+// -q only reports through the status whether they are all on, -p (or no
+// option) lists them, and -o works on the options of set -o instead
+function executeShopt(args) {
+  let mode = null;
+  let quiet = false;
+  let print = false;
+  let setOptions = false;
+  let index = 0;
+  for (; index < args.length && /^-./.test(args[index]); index++) {
+    if (args[index] === '--') {
+      index++;
+      break;
+    }
+    for (const option of args[index].slice(1)) {
+      if (option === 's' || option === 'u') {
+        if (mode !== null && mode !== option) {
+          return { exitCode: 1, error: 'shopt: cannot set and unset shell options simultaneously\n' };
+        }
+        mode = option;
+      } else if (option === 'q') {
+        quiet = true;
+      } else if (option === 'p') {
+        print = true;
+      } else if (option === 'o') {
+        setOptions = true;
+      } else {
+        return { exitCode: 2, error: `shopt: -${option}: invalid option\n${SHOPT_USAGE}` };
+      }
+    }
+  }
+  const known = setOptions ? SET_OPTION_NAMES : SHOPT_OPTIONS;
+  const formatCommand = setOptions
+    ? (name, value) => `set ${value ? '-' : '+'}o ${name}`
+    : (name, value) => `shopt ${value ? '-s' : '-u'} ${name}`;
+  const names = args.slice(index);
+  
+  let errors = '';
+  for (const name of names) {
+    if (!known.includes(name)) {
+      errors += `shopt: ${name}: invalid ${setOptions ? '' : 'shell '}option name\n`;
+    }
+  }
+  const valid = names.filter(name => known.includes(name));
+  
+  if (mode !== null && names.length > 0) {
+    for (const name of valid) {
+      shell().options[name] = mode === 's';
+    }
+    return { exitCode: errors ? 1 : 0, output: '', error: errors };
+  }
+  
+  // With no names, -s and -u list the options that are on or off
+  let shown = names.length > 0 ? valid : known;
+  if (mode !== null) {
+    shown = shown.filter(name => shell().options[name] === (mode === 's'));
+  }
+  const allOn = valid.every(name => shell().options[name]);
+  const output = quiet ? '' : formatOptions(shown, print, formatCommand);
+  return { exitCode: errors ? 1 : allOn ? 0 : 1, output, error: errors };
+}
+
+// Unary operators of test, [ and [[ ]]: string tests, file tests, -v
+// (variable is set), -o (set -o option is on) and -t (fd is a terminal)
+const TEST_UNARY_OPERATORS = ['-a', '-b', '-c', '-d', '-e', '-f', '-g', '-G', '-h', '-k', '-L', '-n', '-o', '-O', '-p', '-r', '-s', '-S', '-t', '-u', '-v', '-w', '-x', '-z'];
+
+// Binary operators of test and [ (-a and -o are handled as and / or)
+const TEST_BINARY_OPERATORS = ['=', '==', '!=', '<', '>', '-eq', '-ne', '-lt', '-le', '-gt', '-ge', '-nt', '-ot', '-ef'];
+
+// Create an error of test and [, which makes their status 2
+function testError(message) {
+  const err = new Error(message);
+  err.test = true;
+  return err;
+}
+
+// Parse an integer operand of test: optional blanks and sign around digits
+function parseTestInteger(value) {
+  if (!/^\s*[+-]?[0-9]+\s*$/.test(value)) {
+    throw testError(`${value}: integer expression expected`);
+  }
+  return BigInt(value.trim());
+}
+
+// Get the status of a file for a file test, or null if it doesn't exist.
+// With lstat a symbolic link itself is looked at.
+function testFileStats(file, lstat = false) {
+  if (file === '') {
+    return null;
+  }
+  try {
+    return lstat ? fs.lstatSync(resolvePath(file), { bigint: true }) : fs.statSync(resolvePath(file), { bigint: true });
+  } catch (err) {
+    return null;
+  }
+}
+
+// Evaluate a unary test like -f file or -z string
+function testUnary(operator, operand) {
+  if (operator === '-n' || operator === '-z') {
+    return (operand === '') === (operator === '-z');
+  } else if (operator === '-v') {
+    return getVariable(operand) !== undefined;
+  } else if (operator === '-o') {
+    return SET_OPTION_NAMES.includes(operand) && shell().options[operand];
+  } else if (operator === '-t') {
+    const target = /^[0-9]+$/.test(operand) ? currentStdio()[Number(operand)] : undefined;
+    return typeof target === 'number' && tty.isatty(target);
+  } else if (operator === '-r' || operator === '-w' || operator === '-x') {
+    const mode = { '-r': fs.constants.R_OK, '-w': fs.constants.W_OK, '-x': fs.constants.X_OK }[operator];
+    try {
+      fs.accessSync(resolvePath(operand), mode);
+      return operand !== '';
+    } catch (err) {
+      return false;
+    }
+  }
+  
+  const stats = testFileStats(operand, operator === '-h' || operator === '-L');
+  if (!stats) {
+    return false;
+  }
+  const checks = {
+    '-a': () => true,
+    '-e': () => true,
+    '-b': () => stats.isBlockDevice(),
+    '-c': () => stats.isCharacterDevice(),
+    '-d': () => stats.isDirectory(),
+    '-f': () => stats.isFile(),
+    '-h': () => stats.isSymbolicLink(),
+    '-L': () => stats.isSymbolicLink(),
+    '-p': () => stats.isFIFO(),
+    '-S': () => stats.isSocket(),
+    '-s': () => stats.size > 0n,
+    '-g': () => (stats.mode & 0o2000n) !== 0n,
+    '-u': () => (stats.mode & 0o4000n) !== 0n,
+    '-k': () => (stats.mode & 0o1000n) !== 0n,
+    '-O': () => stats.uid === BigInt(process.geteuid()),
+    '-G': () => stats.gid === BigInt(process.getegid()),
+  };
+  return checks[operator]();
+}
+
+// Evaluate a binary test: string comparisons, integer comparisons and
+// -nt / -ot / -ef on files
+function testBinary(operator, left, right) {
+  if (operator === '=' || operator === '==') {
+    return left === right;
+  } else if (operator === '!=') {
+    return left !== right;
+  } else if (operator === '<') {
+    return left < right;
+  } else if (operator === '>') {
+    return left > right;
+  } else if (operator === '-nt' || operator === '-ot' || operator === '-ef') {
+    const leftStats = testFileStats(left);
+    const rightStats = testFileStats(right);
+    if (operator === '-ef') {
+      return leftStats !== null && rightStats !== null
+        && leftStats.dev === rightStats.dev && leftStats.ino === rightStats.ino;
+    }
+    // A file is newer than (or older than) one that doesn't exist
+    const [newer, older] = operator === '-nt' ? [leftStats, rightStats] : [rightStats, leftStats];
+    return newer !== null && (older === null || newer.mtimeNs > older.mtimeNs);
+  }
+  
+  const a = parseTestInteger(left);
+  const b = parseTestInteger(right);
+  const comparisons = {
+    '-eq': a === b, '-ne': a !== b, '-lt': a < b, '-le': a <= b, '-gt': a > b, '-ge': a >= b,
+  };
+  return comparisons[operator];
+}
+
+// Evaluate the arguments of test. Up to four arguments follow the POSIX
+// rules, which depend on their number (so [ -n ] and [ ! = x ] work);
+// longer expressions are parsed with ! binding tightest, then -a, then -o,
+// and ( ) for grouping. Throws a test error on a syntax error.
+function evaluateTest(args) {
+  if (args.length === 0) {
+    return false;
+  } else if (args.length === 1) {
+    return args[0] !== '';
+  } else if (args.length === 2) {
+    if (args[0] === '!') {
+      return args[1] === '';
+    }
+    if (!TEST_UNARY_OPERATORS.includes(args[0])) {
+      throw testError(`${args[0]}: unary operator expected`);
+    }
+    return testUnary(args[0], args[1]);
+  } else if (args.length === 3) {
+    if (TEST_BINARY_OPERATORS.includes(args[1])) {
+      return testBinary(args[1], args[0], args[2]);
+    } else if (args[1] === '-a') {
+      return args[0] !== '' && args[2] !== '';
+    } else if (args[1] === '-o') {
+      return args[0] !== '' || args[2] !== '';
+    } else if (args[0] === '!') {
+      return !evaluateTest(args.slice(1));
+    } else if (args[0] === '(' && args[2] === ')') {
+      return args[1] !== '';
+    }
+    throw testError(`${args[1]}: binary operator expected`);
+  } else if (args.length === 4) {
+    if (args[0] === '!') {
+      return !evaluateTest(args.slice(1));
+    } else if (args[0] === '(' && args[3] === ')') {
+      return evaluateTest(args.slice(1, 3));
+    }
+  }
+  
+  let pos = 0;
+  const parseOr = () => {
+    let result = parseAnd();
+    while (args[pos] === '-o') {
+      pos++;
+      result = parseAnd() || result;
+    }
+    return result;
+  };
+  const parseAnd = () => {
+    let result = parseNot();
+    while (args[pos] === '-a') {
+      pos++;
+      result = parseNot() && result;
+    }
+    return result;
+  };
+  const parseNot = () => {
+    if (args[pos] === '!') {
+      pos++;
+      return !parseNot();
+    }
+    return parsePrimary();
+  };
+  const parsePrimary = () => {
+    if (pos >= args.length) {
+      throw testError('argument expected');
+    }
+    const arg = args[pos];
+    if (arg === '(') {
+      pos++;
+      const result = parseOr();
+      if (args[pos] !== ')') {
+        throw testError(`')' expected`);
+      }
+      pos++;
+      return result;
+    }
+    if (pos + 2 < args.length && TEST_BINARY_OPERATORS.includes(args[pos + 1])) {
+      pos += 3;
+      return testBinary(args[pos - 2], arg, args[pos - 1]);
+    }
+    if (/^-.$/.test(arg)) {
+      if (!TEST_UNARY_OPERATORS.includes(arg)) {
+        throw testError(`${arg}: unary operator expected`);
+      }
+      if (pos + 1 >= args.length) {
+        throw testError(`${arg}: argument expected`);
+      }
+      pos += 2;
+      return testUnary(arg, args[pos - 1]);
+    }
+    pos++;
+    return arg !== '';
+  };
+  
+  const result = parseOr();
+  if (pos < args.length) {
+    throw testError('too many arguments');
+  }
+  return result;
+}
+
+// Evaluate a conditional expression for test and [ (which needs a
+// closing ]): status 0 if it's true, 1 if it's false and 2 on an error
+function executeTest(name, args) {
+  if (name === '[') {
+    if (args[args.length - 1] !== ']') {
+      return { exitCode: 2, error: "[: missing ']'\n" };
+    }
+    args = args.slice(0, -1);
+  }
+  try {
+    return { exitCode: evaluateTest(args) ? 0 : 1, output: '' };
+  } catch (err) {
+    if (!err.test) {
+      throw err;
+    }
+    return { exitCode: 2, error: `${name}: ${err.message}\n` };
+  }
+}
+
+// List the signals five to a line, as in " 1) SIGHUP\t 2) SIGINT..."
+function formatSignalList() {
+  let output = '';
+  const numbers = Array.from(SIGNAL_NAMES.keys()).sort((a, b) => a - b);
+  numbers.forEach((number, index) => {
+    const entry = `${String(number).padStart(2)}) SIG${SIGNAL_NAMES.get(number)}`;
+    output += index % 5 === 4 || index === numbers.length - 1 ? `${entry}\n` : `${entry}\t`;
+  });
+  return output;
+}
+
+const TRAP_USAGE = 'trap: usage: trap [-lp] [[arg] signal_spec ...]\n';
+
+// Set, reset or list traps: trap action sig..., trap - sig... (or just
+// trap sig) to reset, trap '' sig... to ignore, trap -p [sig...] (or
+// trap alone) to list them as commands and trap -l to list signals
+function executeTrap(args) {
+  let list = false;
+  let index = 0;
+  while (index < args.length && /^-[lp]+$/.test(args[index])) {
+    if (args[index].includes('l')) {
+      return { exitCode: 0, output: formatSignalList() };
+    }
+    list = true;
+    index++;
+  }
+  if (args[index] === '--') {
+    index++;
+  } else if (index < args.length && /^-./.test(args[index]) && args[index] !== '-') {
+    return { exitCode: 2, error: `trap: ${args[index]}: invalid option\n${TRAP_USAGE}` };
+  }
+  const rest = args.slice(index);
+  
+  if (list || rest.length === 0) {
+    const names = [];
+    let errors = '';
+    for (const spec of rest) {
+      const name = parseTrapSignal(spec);
+      if (name === null) {
+        errors += `trap: ${spec}: invalid signal specification\n`;
+      } else {
+        names.push(name);
+      }
+    }
+    // EXIT first, then signals by number, then the other conditions
+    const order = (name) => name === 'EXIT' ? 0 : name.startsWith('SIG') ? os.constants.signals[name] : 100 + TRAP_EVENTS.indexOf(name);
+    const shown = rest.length > 0 ? names : Array.from(shell().traps.keys());
+    let output = '';
+    for (const name of shown.sort((a, b) => order(a) - order(b))) {
+      if (shell().traps.has(name)) {
+        output += `trap -- '${shell().traps.get(name).replace(/'/g, "'\\''")}' ${name}\n`;
+      }
+    }
+    return { exitCode: errors ? 1 : 0, output, error: errors };
+  }
+  
+  // A lone signal (or - first, or a signal number first) resets traps
+  let action = rest[0];
+  let specs = rest.slice(1);
+  if (action === '-') {
+    action = null;
+  } else if (/^[0-9]+$/.test(action) || (rest.length === 1 && parseTrapSignal(action) !== null)) {
+    action = null;
+    specs = rest;
+  }
+  if (specs.length === 0) {
+    return { exitCode: 2, error: TRAP_USAGE };
+  }
+  
+  let errors = '';
+  for (const spec of specs) {
+    const name = parseTrapSignal(spec);
+    if (name === null) {
+      errors += `trap: ${spec}: invalid signal specification\n`;
+    } else if (action === null) {
+      shell().traps.delete(name);
+    } else {
+      shell().traps.set(name, action);
+    }
+  }
+  if (shell() === mainShell) {
+    updateSignalListeners();
+  }
+  return { exitCode: errors ? 1 : 0, output: '', error: errors };
+}
+
+const KILL_USAGE = 'kill: usage: kill [-s sigspec | -n signum | -sigspec] pid | jobspec ... or kill -l [sigspec]\n';
+
+// Send a signal (TERM by default) to processes and jobs, or with -l list
+// the signal names or translate between names and numbers
+function executeKill(args) {
+  if (args.length === 0) {
+    return { exitCode: 2, error: KILL_USAGE };
+  }
+  
+  if (args[0] === '-l' || args[0] === '-L') {
+    if (args.length === 1) {
+      return { exitCode: 0, output: formatSignalList() };
+    }
+    
+    // Numbers (or exit statuses of signalled commands) become names,
+    // names become numbers
+    let output = '';
+    let errors = '';
+    for (const spec of args.slice(1)) {
+      if (/^[0-9]+$/.test(spec)) {
+        const number = parseInt(spec, 10);
+        const name = SIGNAL_NAMES.get(number > 128 ? number - 128 : number);
+        if (name) {
+          output += `${name}\n`;
+          continue;
+        }
+      } else {
+        const number = parseSignal(spec);
+        if (number !== null) {
+          output += `${number}\n`;
+          continue;
+        }
+      }
+      errors += `kill: ${spec}: invalid signal specification\n`;
+    }
+    return { exitCode: errors ? 1 : 0, output, error: errors };
+  }
+  
+  let signal = os.constants.signals.SIGTERM;
+  let targets = args;
+  if (targets[0] === '-s' || targets[0] === '-n') {
+    if (targets.length < 2) {
+      return { exitCode: 2, error: `kill: ${targets[0]}: option requires an argument\n${KILL_USAGE}` };
+    }
+    signal = parseSignal(targets[1]);
+    if (signal === null) {
+      return { exitCode: 1, error: `kill: ${targets[1]}: invalid signal specification\n` };
+    }
+    targets = targets.slice(2);
+  } else if (targets[0] === '--') {
+    targets = targets.slice(1);
+  } else if (/^-./.test(targets[0]) && (!/^-[0-9]+$/.test(targets[0]) || targets.length > 1)) {
+    // -SIG or -N, unless a lone negative number (a process group)
+    signal = parseSignal(targets[0].slice(1));
+    if (signal === null) {
+      return { exitCode: 1, error: `kill: ${targets[0].slice(1)}: invalid signal specification\n` };
+    }
+    targets = targets.slice(1);
+  }
+  if (targets[0] === '--') {
+    targets = targets.slice(1);
+  }
+  if (targets.length === 0) {
+    return { exitCode: 2, error: KILL_USAGE };
+  }
+  
+  const { SIGCONT, SIGSTOP, SIGTSTP } = os.constants.signals;
+  let errors = '';
+  for (const target of targets) {
+    // The process ID of a job run by the shell stands for the whole job
+    let job = jobs.find(other => other.inShell && String(other.pid) === target);
+    if (target.startsWith('%')) {
+      const found = findJob(target, 'kill');
+      if (!found.job) {
+        errors += found.error;
+        continue;
+      }
+      job = found.job;
+    }
+    if (job) {
+      if (signal === SIGCONT && job.state === JOB_STOPPED) {
+        resumeJob(job, job.background);
+        continue;
+      }
+      signalJob(job, signal);
+      if (signal === SIGSTOP && job.state === JOB_RUNNING) {
+        job.state = JOB_STOPPED;
+        job.used = ++jobUseCount;
+      } else if (job.state === JOB_STOPPED && ![SIGSTOP, SIGTSTP, 0].includes(signal)) {
+        // A stopped job only acts on the signal once it is running again
+        resumeJob(job, job.background);
+      }
+      continue;
+    }
+    if (!/^-?[0-9]+$/.test(target)) {
+      errors += `kill: ${target}: arguments must be process or job IDs\n`;
+      continue;
+    }
+    try {
+      process.kill(parseInt(target, 10), signal);
+    } catch (err) {
+      const reason = err.code === 'EPERM' ? 'Operation not permitted' : 'No such process';
+      errors += `kill: (${target}) - ${reason}\n`;
+    }
+  }
+  return { exitCode: errors ? 1 : 0, output: '', error: errors };
+}
+
+// Wait for jobs or background processes to finish. With no arguments
+// wait for all jobs that aren't stopped and return 0, otherwise return
+// the status of the last one named. Jobs waited for are removed from the
+// job table.
+async function executeWait(args) {
+  let selected = [];
+  let status = 0;
+  let errors = '';
+  const specs = args[0] === '--' ? args.slice(1) : args;
+  if (specs.length === 0) {
+    selected = jobs.filter(job => job.state !== JOB_STOPPED);
+  }
+  for (const spec of specs) {
+    let job;
+    if (spec.startsWith('%')) {
+      const found = findJob(spec, 'wait');
+      if (!found.job) {
+        errors += found.error;
+        status = 127;
+        continue;
+      }
+      job = found.job;
+    } else if (!/^[0-9]+$/.test(spec)) {
+      errors += `wait: \`${spec}': not a pid or valid job spec\n`;
+      status = 2;
+      continue;
+    } else {
+      job = jobs.find(other => other.pid === parseInt(spec, 10));
+      if (!job) {
+        errors += `wait: pid ${spec} is not a child of this shell\n`;
+        status = 127;
+        continue;
+      }
+    }
+    selected.push(job);
+  }
+  
+  // A trapped signal (or Ctrl-C at the terminal) interrupts the wait,
+  // making the status 128 plus its number; the jobs keep running
+  let interruptedBy = null;
+  let interrupt = null;
+  const interruption = new Promise((resolve) => {
+    interrupt = (signal) => {
+      interruptedBy = signal;
+      resolve();
+    };
+  });
+  signalWaiters.add(interrupt);
+  try {
+    for (const job of selected) {
+      if (job.state !== JOB_DONE) {
+        setJobReferenced(job, true);
+        await Promise.race([job.finished, interruption]);
+        setJobReferenced(job, false);
+      }
+      if (interruptedBy) {
+        return { exitCode: 128 + os.constants.signals[interruptedBy], output: '', error: errors };
+      }
+      if (specs.length > 0) {
+        status = job.status;
+      }
+      removeJob(job);
+    }
+  } finally {
+    signalWaiters.delete(interrupt);
+  }
+  return { exitCode: status, output: '', error: errors };
+}
+
+// Usage message of the read builtin
+const READ_USAGE = 'read: usage: read [-rs] [-a array] [-d delim] [-n nchars] [-p prompt] [-t timeout] [name ...]\n';
+
+// Read a line (or up to -d delim, or -n count characters) and split it
+// into fields at the characters of IFS, assigning them to the names (the
+// last name gets the rest of the line) or to the elements of an array
+// with -a. Without names the whole line goes to REPLY. Backslashes escape
+// the next character unless -r is given.
+async function executeRead(args) {
+  const options = { delimiter: '\n', count: null, timeout: null, raw: false, silent: false };
+  let prompt = null;
+  let arrayName = null;
+  let index = 0;
+  while (index < args.length && args[index].startsWith('-') && args[index] !== '-') {
+    const arg = args[index++];
+    if (arg === '--') {
+      break;
+    }
+    for (let j = 1; j < arg.length; j++) {
+      const option = arg[j];
+      if (option === 'r') {
+        options.raw = true;
+        continue;
+      }
+      if (option === 's') {
+        options.silent = true;
+        continue;
+      }
+      if (!'adnpt'.includes(option)) {
+        return { exitCode: 2, error: `read: -${option}: invalid option\n${READ_USAGE}` };
+      }
+      // The option's value is the rest of the argument or the next one
+      let value = arg.slice(j + 1);
+      if (value === '') {
+        if (index >= args.length) {
+          return { exitCode: 2, error: `read: -${option}: option requires an argument\n${READ_USAGE}` };
+        }
+        value = args[index++];
+      }
+      if (option === 'a') {
+        arrayName = value;
+      } else if (option === 'd') {
+        // -d '' reads up to a NUL character
+        options.delimiter = value === '' ? '\0' : [...value][0];
+      } else if (option === 'n') {
+        if (!/^[0-9]+$/.test(value)) {
+          return { exitCode: 1, error: `read: ${value}: invalid number\n` };
+        }
+        options.count = parseInt(value, 10);
+      } else if (option === 'p') {
+        prompt = value;
+      } else {
+        if (!/^([0-9]+\.?[0-9]*|\.[0-9]+)$/.test(value)) {
+          return { exitCode: 1, error: `read: ${value}: invalid timeout specification\n` };
+        }
+        options.timeout = parseFloat(value);
+      }
+      break;
+    }
+  }
+  
+  const names = args.slice(index);
+  for (const name of arrayName !== null ? [arrayName, ...names] : names) {
+    if (!isValidVariableName(name)) {
+      return { exitCode: 1, error: `read: '${name}': not a valid identifier\n` };
+    }
+  }
+  
+  const stdio = currentStdio();
+  const input = stdio[0];
+  const fromTerminal = typeof input === 'number' && tty.isatty(input);
+  options.silent = options.silent && fromTerminal;
+  
+  // -t 0 only checks whether input is available
+  if (options.timeout === 0) {
+    let available = false;
+    if (isStreamEntry(input)) {
+      available = input.readableLength > 0 || input.readableEnded;
+    } else if (typeof input === 'number') {
+      try {
+        available = fs.fstatSync(input).isFile();
+      } catch (err) {
+        // Not an open descriptor
+      }
+    }
+    return { exitCode: available ? 0 : 1, output: '' };
+  }
+  
+  // The prompt is shown only when reading from a terminal
+  if (prompt !== null && fromTerminal) {
+    writeToFd(stdio[2], prompt);
+  }
+  
+  let result;
+  try {
+    result = await readInput(input, options);
+  } catch (err) {
+    return { exitCode: 1, error: `read: read error: 0: ${fileErrorMessage(err)}\n` };
+  }
+  // Characters escaped by a backslash are kept and never split on;
+  // backslash-newline continues the line
+  const chars = [];
+  const text = [...result.text];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\\' && !options.raw) {
+      i++;
+      if (i < text.length && text[i] !== '\n') {
+        chars.push({ char: text[i], escaped: true });
+      }
+      continue;
+    }
+    chars.push({ char: text[i], escaped: false });
+  }
+  
+  try {
+    if (arrayName === null && names.length === 0) {
+      setVariable('REPLY', chars.map(c => c.char).join(''));
+    } else {
+      const fields = splitReadFields(chars, arrayName !== null ? Infinity : names.length);
+      if (arrayName !== null) {
+        setArrayVariable(arrayName, fields);
+      } else {
+        names.forEach((name, nameIndex) => {
+          setVariable(name, fields[nameIndex] || '');
+        });
+      }
+    }
+  } catch (err) {
+    if (!err.expansion) {
+      throw err;
+    }
+    return { exitCode: 1, error: `read: ${err.message}\n` };
+  }
+  return { exitCode: result.status, output: '' };
+}
+
+// Split the characters read by read (each { char, escaped }) into at
+// most limit fields at unescaped IFS characters. IFS whitespace around
+// fields is removed and runs of it count as one separator; other IFS
+// characters each end a field. The last field keeps the rest of the
+// input, except that a single trailing separator is dropped.
+function splitReadFields(chars, limit) {
+  const ifs = getVariable('IFS') === undefined ? ' \t\n' : getVariable('IFS');
+  const isSeparator = (c) => !c.escaped && ifs.includes(c.char);
+  const isSpace = (c) => isSeparator(c) && ' \t\n'.includes(c.char);
+  
+  let end = chars.length;
+  while (end > 0 && isSpace(chars[end - 1])) {
+    end--;
+  }
+  let position = 0;
+  const skipSpaces = () => {
+    while (position < end && isSpace(chars[position])) {
+      position++;
+    }
+  };
+  // Read a field and the separator after it
+  const nextField = () => {
+    let field = '';
+    while (position < end && !isSeparator(chars[position])) {
+      field += chars[position++].char;
+    }
+    skipSpaces();
+    if (position < end && isSeparator(chars[position])) {
+      position++;
+      skipSpaces();
+    }
+    return field;
+  };
+  
+  const fields = [];
+  skipSpaces();
+  while (position < end && fields.length < limit - 1) {
+    fields.push(nextField());
+  }
+  if (position < end) {
+    // The last field is the rest, or one field if only a separator follows
+    const restStart = position;
+    const field = nextField();
+    fields.push(position === end ? field : chars.slice(restStart, end).map(c => c.char).join(''));
+  }
+  return fields;
+}
+
+// Interpret backslash escapes: \n, \t, \\, \xHH, \uHHHH, octal bytes and
+// so on. In 'echo' mode (echo -e) an octal byte is \0nnn and \c ends the
+// output; in 'b' mode (printf %b) \nnn works too; in 'format' mode (a
+// printf format) octal is \nnn, \c isn't special and \" \' \? are quotes.
+// Returns the text and whether \c ended it.
+function interpretEscapes(text, mode) {
+  const simple = { a: '\x07', b: '\b', e: '\x1b', E: '\x1b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v', '\\': '\\' };
+  // Bytes from \x and octal escapes are joined with the text as UTF-8
+  const parts = [];
+  let plain = '';
+  const addByte = (value) => {
+    parts.push(Buffer.from(plain), Buffer.from([value & 0xff]));
+    plain = '';
+  };
+  let stop = false;
+  let i = 0;
+  
+  while (i < text.length) {
+    const next = text[i + 1];
+    if (text[i] !== '\\' || next === undefined) {
+      plain += text[i];
+      i++;
+      continue;
+    }
+    
+    let digits;
+    if (simple[next] !== undefined) {
+      plain += simple[next];
+      i += 2;
+    } else if (next === 'c' && mode !== 'format') {
+      stop = true;
+      break;
+    } else if (mode === 'format' && '"\'?'.includes(next)) {
+      plain += next;
+      i += 2;
+    } else if (next === '0' && mode !== 'format') {
+      digits = text.slice(i + 2).match(/^[0-7]{0,3}/)[0];
+      addByte(parseInt(digits || '0', 8));
+      i += 2 + digits.length;
+    } else if (/[0-7]/.test(next) && mode !== 'echo') {
+      digits = text.slice(i + 1).match(/^[0-7]{1,3}/)[0];
+      addByte(parseInt(digits, 8));
+      i += 1 + digits.length;
+    } else if (next === 'x' && /[0-9A-Fa-f]/.test(text[i + 2])) {
+      digits = text.slice(i + 2).match(/^[0-9A-Fa-f]{1,2}/)[0];
+      addByte(parseInt(digits, 16));
+      i += 2 + digits.length;
+    } else if ((next === 'u' || next === 'U') && /[0-9A-Fa-f]/.test(text[i + 2])) {
+      digits = text.slice(i + 2).match(next === 'u' ? /^[0-9A-Fa-f]{1,4}/ : /^[0-9A-Fa-f]{1,8}/)[0];
+      const codePoint = parseInt(digits, 16);
+      plain += codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : text.slice(i, i + 2 + digits.length);
+      i += 2 + digits.length;
+    } else {
+      // Not an escape: the backslash is kept
+      plain += '\\';
+      i++;
+    }
+  }
+  
+  parts.push(Buffer.from(plain));
+  return { text: Buffer.concat(parts).toString(), stop };
+}
+
+// Print the arguments separated by spaces: -n leaves out the newline, -e
+// interprets backslash escapes (\c ends the output) and -E doesn't. Only
+// leading arguments made of these letters are options.
+function executeEcho(args) {
+  let newline = true;
+  let escapes = false;
+  let index = 0;
+  for (; index < args.length && /^-[neE]+$/.test(args[index]); index++) {
+    for (const option of args[index].slice(1)) {
+      if (option === 'n') {
+        newline = false;
+      } else {
+        escapes = option === 'e';
+      }
+    }
+  }
+  
+  let output = args.slice(index).join(' ');
+  if (escapes) {
+    const { text, stop } = interpretEscapes(output, 'echo');
+    if (stop) {
+      return { exitCode: 0, output: text };
+    }
+    output = text;
+  }
+  return { exitCode: 0, output: newline ? `${output}\n` : output };
+}
+
+// Quote a string the way printf %q does, so that the shell reads it back
+// as the same word: special characters get a backslash, and a string with
+// control characters is written as $'...'
+function backslashQuote(value) {
+  if (value === '') {
+    return "''";
+  }
+  if (/[\x00-\x1f\x7f]/.test(value)) {
+    const escapes = { '\x07': '\\a', '\b': '\\b', '\x1b': '\\E', '\f': '\\f', '\n': '\\n', '\r': '\\r', '\t': '\\t', '\v': '\\v', '\\': '\\\\', "'": "\\'" };
+    const quoted = value.replace(/[\x00-\x1f\x7f\\']/g,
+      char => escapes[char] || `\\${char.charCodeAt(0).toString(8).padStart(3, '0')}`);
+    return `$'${quoted}'`;
+  }
+  // ~ only needs quoting where tilde expansion happens, # where a comment can start
+  return value.replace(/[ '"\\|&;()<>!{}*?[\]^$`,]|^[~#]|(?<=[=:])~/g, '\\$&');
+}
+
+// Pad a printf field to width: on the right with the - flag, with zeros
+// after the sign or 0x with the 0 flag (if zeroPad allows it), and with
+// spaces on the left otherwise
+function padField(prefix, body, width, flags, zeroPad) {
+  if (prefix.length + body.length >= width) {
+    return prefix + body;
+  } else if (flags.includes('-')) {
+    return (prefix + body).padEnd(width);
+  } else if (zeroPad && flags.includes('0')) {
+    return prefix + body.padStart(width - prefix.length, '0');
+  }
+  return (prefix + body).padStart(width);
+}
+
+// Format an integer for %d, %i, %u, %o, %x and %X. Returns the sign (and
+// 0x of %#x) and the digits, zero-filled to the precision.
+function formatInteger(value, conversion, flags, precision) {
+  let prefix = '';
+  let digits;
+  if (conversion === 'd' || conversion === 'i') {
+    prefix = value < 0n ? '-' : flags.includes('+') ? '+' : flags.includes(' ') ? ' ' : '';
+    digits = (value < 0n ? -value : value).toString();
+  } else {
+    // The others show the value as an unsigned 64-bit number
+    const unsigned = BigInt.asUintN(64, value);
+    digits = unsigned.toString({ u: 10, o: 8, x: 16, X: 16 }[conversion]);
+    if (conversion === 'X') {
+      digits = digits.toUpperCase();
+    }
+    if (flags.includes('#') && unsigned !== 0n) {
+      prefix = conversion === 'o' ? '0' : conversion === 'x' ? '0x' : conversion === 'X' ? '0X' : '';
+    }
+  }
+  if (precision !== null) {
+    digits = precision === 0 && value === 0n ? '' : digits.padStart(precision, '0');
+  }
+  return [prefix, digits];
+}
+
+// Format a number for %f, %e, %g and their upper-case forms like C's
+// printf. Returns the sign and the rest.
+function formatFloat(value, conversion, flags, precision) {
+  const sign = value < 0 || Object.is(value, -0) ? '-' : flags.includes('+') ? '+' : flags.includes(' ') ? ' ' : '';
+  const magnitude = Math.abs(value);
+  const form = conversion.toLowerCase();
+  // toExponential gives e+5 where C gives e+05
+  const exponential = digits => magnitude.toExponential(digits).replace(/e([+-])(\d)$/, 'e$10$2');
+  let p = precision === null ? 6 : precision;
+  let text;
+  
+  if (!Number.isFinite(magnitude)) {
+    text = Number.isNaN(magnitude) ? 'nan' : 'inf';
+  } else if (form === 'f') {
+    text = magnitude.toFixed(p);
+  } else if (form === 'e') {
+    text = exponential(p);
+  } else {
+    // %g uses %e for exponents below -4 or from the precision up, and
+    // drops trailing zeros unless # is given
+    p = p === 0 ? 1 : p;
+    const exponent = magnitude === 0 ? 0 : Number(magnitude.toExponential(p - 1).split('e')[1]);
+    text = exponent >= -4 && exponent < p ? magnitude.toFixed(p - 1 - exponent) : exponential(p - 1);
+    if (!flags.includes('#')) {
+      text = text.replace(/(\.[0-9]*?)0+(?=e|$)/, '$1').replace(/\.(?=e|$)/, '');
+    }
+  }
+  if (flags.includes('#') && Number.isFinite(magnitude) && !text.includes('.')) {
+    text = text.replace(/(?=e|$)/, '.');
+  }
+  return [sign, conversion === form ? text : text.toUpperCase()];
+}
+
+const PRINTF_USAGE = 'printf: usage: printf [-v var] format [arguments]\n';
+
+// Format and print the arguments: printf [-v var] format [arguments].
+// The format has backslash escapes and %[flags][width][.precision]
+// conversions (%s %b %q %c %d %i %u %o %x %X %f %e %g and %%), where a
+// width or precision of * is taken from the arguments. The format is used
+// again while arguments are left; missing ones are empty or 0. With -v
+// the output is assigned to var instead of printed.
+function executePrintf(args) {
+  let variable = null;
+  let index = 0;
+  for (; index < args.length && /^-./.test(args[index]); index++) {
+    if (args[index] === '--') {
+      index++;
+      break;
+    }
+    if (args[index] !== '-v') {
+      return { exitCode: 2, error: `printf: ${args[index]}: invalid option\n${PRINTF_USAGE}` };
+    }
+    if (index + 1 >= args.length) {
+      return { exitCode: 2, error: `printf: -v: option requires an argument\n${PRINTF_USAGE}` };
+    }
+    variable = args[++index];
+    if (!isValidVariableName(variable)) {
+      return { exitCode: 2, error: `printf: '${variable}': not a valid identifier\n` };
+    }
+  }
+  if (index >= args.length) {
+    return { exitCode: 2, error: PRINTF_USAGE };
+  }
+  const format = args[index];
+  const values = args.slice(index + 1);
+  
+  let output = '';
+  let errors = '';
+  let status = 0;
+  let argIndex = 0;
+  const nextArgument = () => (argIndex < values.length ? values[argIndex++] : undefined);
+  
+  // Numeric arguments may be C constants (0x1F, 017) or 'c for the code
+  // of the character c; a bad one is reported and taken as far as it goes
+  const invalidNumber = (arg) => {
+    errors += `printf: ${arg}: invalid number\n`;
+    status = 1;
+  };
+  const nextInteger = () => {
+    const arg = nextArgument();
+    if (arg === undefined || arg === '') {
+      return 0n;
+    }
+    if (/^['"]/.test(arg)) {
+      return BigInt(arg.length > 1 ? arg.codePointAt(1) : 0);
+    }
+    const match = arg.match(/^\s*([+-]?)(0[xX][0-9A-Fa-f]+|0[0-7]*|[1-9][0-9]*)/);
+    if (!match) {
+      invalidNumber(arg);
+      return 0n;
+    }
+    if (match[0].length < arg.length) {
+      invalidNumber(arg);
+    }
+    const digits = /^0[0-7]/.test(match[2]) ? `0o${match[2].slice(1)}` : match[2];
+    let value = match[1] === '-' ? -BigInt(digits) : BigInt(digits);
+    if (value !== BigInt.asIntN(64, value)) {
+      errors += `printf: warning: ${arg}: Numerical result out of range\n`;
+      value = value < 0n ? -(2n ** 63n) : 2n ** 63n - 1n;
+    }
+    return value;
+  };
+  const nextFloat = () => {
+    const arg = nextArgument();
+    if (arg === undefined || arg === '') {
+      return 0;
+    }
+    if (/^['"]/.test(arg)) {
+      return arg.length > 1 ? arg.codePointAt(1) : 0;
+    }
+    if (/^\s*[+-]?(inf|infinity|nan)\s*$/i.test(arg)) {
+      return Number(arg.trim().replace(/inf(inity)?/i, 'Infinity').replace(/nan/i, 'NaN'));
+    }
+    const match = arg.match(/^\s*[+-]?([0-9]+\.?[0-9]*|\.[0-9]+)([eE][+-]?[0-9]+)?/);
+    if (!match) {
+      invalidNumber(arg);
+      return 0;
+    }
+    if (match[0].length < arg.length) {
+      invalidNumber(arg);
+    }
+    return Number(match[0]);
+  };
+  
+  let consumed;
+  let stop = false;
+  do {
+    consumed = argIndex;
+    let i = 0;
+    while (i < format.length && !stop) {
+      // Literal text up to the next conversion
+      const percent = format.indexOf('%', i);
+      const end = percent === -1 ? format.length : percent;
+      output += interpretEscapes(format.slice(i, end), 'format').text;
+      if (percent === -1) {
+        break;
+      }
+      
+      const [spec, specFlags, widthSpec, precisionSpec, conversion] = format.slice(percent)
+        .match(/^%([-+ 0#]*)(\*|[0-9]*)(?:\.(\*|[0-9]*))?(?:hh|h|ll|l|L|j|z|t)?(.?)/);
+      i = percent + spec.length;
+      if (spec === '%%') {
+        output += '%';
+        continue;
+      }
+      if (conversion === '' || !'sbqcdiuoxXfFeEgG'.includes(conversion)) {
+        errors += conversion === ''
+          ? 'printf: missing format character\n'
+          : `printf: '${conversion}': invalid format character\n`;
+        status = 1;
+        stop = true;
+        break;
+      }
+      
+      let flags = specFlags;
+      let width = 0;
+      if (widthSpec === '*') {
+        width = Number(nextInteger());
+        if (width < 0) {
+          flags += '-';
+          width = -width;
+        }
+      } else if (widthSpec !== '') {
+        width = parseInt(widthSpec, 10);
+      }
+      let precision = null;
+      if (precisionSpec === '*') {
+        const value = Number(nextInteger());
+        precision = value < 0 ? null : value;
+      } else if (precisionSpec !== undefined) {
+        precision = precisionSpec === '' ? 0 : parseInt(precisionSpec, 10);
+      }
+      
+      if ('diuoxX'.includes(conversion)) {
+        const [prefix, digits] = formatInteger(nextInteger(), conversion, flags, precision);
+        output += padField(prefix, digits, width, flags, precision === null);
+      } else if ('fFeEgG'.includes(conversion)) {
+        const value = nextFloat();
+        const [sign, text] = formatFloat(value, conversion, flags, precision);
+        output += padField(sign, text, width, flags, Number.isFinite(value));
+      } else {
+        const arg = nextArgument();
+        let text = arg === undefined ? '' : arg;
+        if (conversion === 'b') {
+          ({ text, stop } = interpretEscapes(text, 'b'));
+        } else if (conversion === 'q') {
+          text = backslashQuote(text);
+        } else if (conversion === 'c') {
+          text = text === '' ? '\0' : [...text][0];
+        }
+        if (precision !== null && conversion !== 'c') {
+          text = text.slice(0, precision);
+        }
+        output += padField('', text, width, flags, false);
+      }
+    }
+  } while (!stop && argIndex < values.length && argIndex > consumed);
+  
+  if (variable !== null) {
+    try {
+      setVariable(variable, output);
+    } catch (err) {
+      if (!err.expansion) {
+        throw err;
+      }
+      return { exitCode: 1, error: `${errors}${err.message}\n` };
+    }
+    output = '';
+  }
+  return { exitCode: status, output, error: errors };
+}
+
+// Run the commands of a pipeline at the same time, each reading the
+// output of the one before it, and wait for all of them. All but the last
+// run in subshells, so only the last can change the shell's variables or
+// directory. The status is that of the last command, inverted by a
+// leading !.
+async function executePipeline(statement) {
+  const stdio = currentStdio();
+  let input = stdio[0];
+  
+  // Programs of the pipeline stopped by Ctrl-Z become a single job
+  const savedGroup = shell().foregroundGroup;
+  const savedStage = shell().pipelineStage;
+  shell().foregroundGroup = { text: formatCommandLine(statement)[0] };
+  
+  const stages = statement.commands.map((command, index) => {
+    const isLast = index === statement.commands.length - 1;
+    const output = isLast ? stdio[1] : createPipe();
+    const stageStdio = stdio.slice();
+    stageStdio[0] = input;
+    stageStdio[1] = output;
+    
+    const stageInput = index > 0 ? input : null;
+    if (isLast) {
+      shell().pipelineStage = index;
+    }
+    const stage = withStdio(stageStdio, () => isLast ? executePipelineStage(command) : runInSubshell(() => {
+      shell().pipelineStage = index;
+      return executeStatement(command);
+    }));
+    input = output;
+    return stage.then((status) => {
+      // The next stage sees end of input; the previous one can no longer
+      // write (like a process getting SIGPIPE)
+      if (!isLast) {
+        output.end();
+      }
+      if (stageInput) {
+        stageInput.destroy();
+      }
+      return status;
+    });
+  });
+  
+  let statuses;
+  try {
+    statuses = await Promise.all(stages);
+  } finally {
+    shell().foregroundGroup = savedGroup;
+    shell().pipelineStage = savedStage;
+  }
+  // With set -o pipefail the status is that of the last command to fail
+  const status = shell().options.pipefail
+    ? statuses.reduce((result, stageStatus) => stageStatus !== 0 ? stageStatus : result, 0)
+    : statuses[statuses.length - 1];
+  if (statement.negated) {
+    return status === 0 ? 1 : 0;
+  }
+  return status;
+}
+
+// Run the last command of a pipeline. exit only ends its own stage.
+async function executePipelineStage(command) {
+  try {
+    return await executeStatement(command);
+  } catch (err) {
+    if (!err.exitShell) {
+      throw err;
+    }
+    return err.status;
+  }
+}
+
+// Create a pipe between two pipeline stages
+function createPipe() {
+  const pipe = new PassThrough();
+  pipe.on('error', () => {
+    // The reading stage is gone
+  });
+  return pipe;
+}
+
+// Commands read at the prompt so far, and which of them last warned
+// about stopped jobs on exit
+let promptCount = 0;
+let stoppedJobsWarning = -1;
+
+// Whether the shell is reading a command at the prompt (rather than
+// running one)
+let atPrompt = false;
+
+// Cancels the question being asked at the prompt
+let promptQuestion = null;
+
+// Whether the end of input has been reached (Ctrl-D on an empty line)
+let inputClosed = false;
+
+// Read a line at the prompt (or a continuation line with "> ")
+function askQuestion(prompt, callback) {
+  promptQuestion = new AbortController();
+  atPrompt = true;
+  if (inputClosed) {
+    endOfInput();
+    return;
+  }
+  rl.question(prompt, { signal: promptQuestion.signal }, (answer) => {
+    atPrompt = false;
+    // set -v echoes each line as it is read
+    if (mainShell.options.verbose) {
+      process.stderr.write(`${answer}\n`);
+    }
+    callback(answer);
+  });
+}
+
+function repl() {
+  notifyJobs();
+  askQuestion("$ ", (command) => {
+    promptCount++;
+    
+    // Add command to history (if not empty)
+    if (command.trim()) {
+      commandHistory.push(command);
+    }
+    
+    executeInteractiveInput(command);
+  });
+}
+
+// Run input typed at the prompt, reading continuation lines with a "> "
+// prompt while it is incomplete (an unfinished compound command, quote
+// or here-document, or a line ending in | or &&)
+function executeInteractiveInput(input) {
+  let statements;
+  try {
+    statements = parseStatements(input, true);
+  } catch (err) {
+    if (err.incomplete) {
+      askQuestion("> ", (line) => {
+        if (line.trim()) {
+          commandHistory.push(line);
+        }
+        executeInteractiveInput(input + '\n' + line);
+      });
+      return;
+    }
+    process.stderr.write(`${err.message}\n`);
+    shell().lastExitCode = 2;
+    repl();
+    return;
+  }
+  
+  runInteractive(() => executeStatements(statements)).then(repl);
+}
+
+// Run commands from the prompt (or trap actions while it waits). The
+// terminal is handed to them while they run: line editing is paused and
+// raw mode turned off. A command killed by Ctrl-C abandons the rest of
+// the line.
+async function runInteractive(fn) {
+  rl.pause();
+  if (process.stdin.isTTY) {
+    process.stdin.setRawMode(false);
+  }
+  interruptPending = false;
+  try {
+    await fn();
+  } catch (err) {
+    if (err.interrupted) {
+      process.stdout.write('\n');
+      mainShell.lastExitCode = 128 + os.constants.signals.SIGINT;
+    } else if (err.exitShell) {
+      await exitShell(err.status);
+    } else {
+      throw err;
+    }
+  } finally {
+    interruptPending = false;
+    if (process.stdin.isTTY) {
+      process.stdin.setRawMode(true);
+    }
+  }
+}
+
+// End of input exits the shell like exit does, once the command running
+// (if any) finishes
+function endOfInput() {
+  inputClosed = true;
+  if (atPrompt) {
+    atPrompt = false;
+    if (process.stdin.isTTY) {
+      process.stdout.write('exit\n');
+    }
+    exitShell(mainShell.lastExitCode);
+  }
+}
+
+// Handle Ctrl-C at the prompt: the line being typed (and the rest of an
+// unfinished command) is dropped and a new prompt shown, with $? set to
+// 130, after the SIGINT trap if there is one
+function interruptPrompt() {
+  const action = mainShell.traps.get('SIGINT');
+  if (!atPrompt || action === '') {
+    return;
+  }
+  process.stdout.write('^C');
+  promptQuestion.abort();
+  atPrompt = false;
+  rl.line = '';
+  rl.cursor = 0;
+  mainShell.lastExitCode = 128 + os.constants.signals.SIGINT;
+  if (action !== undefined) {
+    pendingTraps.push('SIGINT');
+  }
+  runInteractive(handleSignals).then(repl);
+}
+
+// Run the traps of signals that arrive while the prompt waits, then show
+// the prompt again with the line being typed
+async function runTrapsAtPrompt() {
+  atPrompt = false;
+  readline.clearLine(process.stdout, 0);
+  readline.cursorTo(process.stdout, 0);
+  await runInteractive(handleSignals);
+  atPrompt = true;
+  rl.prompt(true);
+}
+
+// Exit the shell after running its EXIT trap, saving the history to
+// HISTFILE when interactive. An interactive shell also hangs up its jobs
+// (except those marked with disown -h), waking stopped ones so they get
+// the SIGHUP.
+async function exitShell(status) {
+  status = await shellContext.run(mainShell, () => runExitTrap(status));
+  if (rl) {
+    for (const job of jobs) {
+      if (job.state !== JOB_DONE && !job.nohup) {
+        signalJob(job, 'SIGHUP');
+        if (job.state === JOB_STOPPED) {
+          signalJob(job, 'SIGCONT');
+        }
+      }
+    }
+  }
+  if (rl && getVariable('HISTFILE')) {
+    try {
+      fs.writeFileSync(getVariable('HISTFILE'), commandHistory.join('\n') + '\n', 'utf8');
+    } catch (err) {
+      // Ignore errors writing history file
+    }
+  }
+  process.exit(status);
+}
+
+// Load history from HISTFILE on startup
+if (getVariable('HISTFILE')) {
+  try {
+    const fileContent = fs.readFileSync(getVariable('HISTFILE'), 'utf8');
+    const lines = fileContent.split('\n');
+    for (const line of lines) {
+      if (line.trim()) {
+        commandHistory.push(line);
+      }
+    }
+    // Mark these commands as already written (so history -a doesn't duplicate them)
+    lastWrittenIndex = commandHistory.length;
+  } catch (err) {
+    // File doesn't exist or can't be read, start with empty history
+  }
+}
+
+// Get the text of a here-document, expanding $VAR, $(...) and `...`
+// unless its delimiter was quoted
+async function getHereDocumentContent(doc) {
+  return doc.expand ? expandText(doc.body) : doc.body;
+}
+
+// Open a temporary file holding here-document or here-string text for
+// reading. The file is removed right away so only the descriptor remains.
+function openTemporaryInput(content) {
+  const tempPath = path.join(os.tmpdir(), `shell-heredoc-${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  fs.writeFileSync(tempPath, content, { mode: 0o600 });
+  const fd = fs.openSync(tempPath, 'r');
+  try {
+    fs.unlinkSync(tempPath);
+  } catch (err) {
+    // Windows can't remove an open file
+  }
+  return fd;
+}
+
+// The file descriptor table of the running command: index = fd, each
+// entry an OS file descriptor, a stream (a pipe to another pipeline stage
+// or the capture of a command substitution) or 'closed'. Every
+// asynchronous task (such as a pipeline stage) keeps its own table.
+const stdioContext = new AsyncLocalStorage();
+
+// Get the fd table of the running command
+function currentStdio() {
+  return stdioContext.getStore() || [0, 1, 2];
+}
+
+// Run fn with stdio as its fd table
+function withStdio(stdio, fn) {
+  return stdioContext.run(stdio, fn);
+}
+
+// Check if an fd table entry is a stream rather than an OS descriptor
+function isStreamEntry(entry) {
+  return typeof entry === 'object' && entry !== null;
+}
+
+// Get the descriptor named by /dev/stdin, /dev/stdout, /dev/stderr or
+// /dev/fd/N, or null for any other path. The shell treats these as its
+// own fd table entries, which may be pipes that exist only inside it.
+function deviceFd(target) {
+  const names = { '/dev/stdin': 0, '/dev/stdout': 1, '/dev/stderr': 2 };
+  if (target in names) {
+    return names[target];
+  }
+  const match = target.match(/^\/dev\/fd\/([0-9]+)$/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// Read everything left on an fd table entry (for builtins that read
+// their input)
+function readAllInput(entry) {
+  if (entry === undefined || entry === 'closed') {
+    return Promise.reject(Object.assign(new Error('Bad file descriptor'), { code: 'EBADF' }));
+  }
+  if (!isStreamEntry(entry)) {
+    try {
+      return Promise.resolve(fs.readFileSync(entry, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'EAGAIN') {
+        throw err;
+      }
+      // The terminal is non-blocking for readline: read a blocking copy
+      return Promise.resolve(fs.readFileSync(`/dev/fd/${entry}`, 'utf8'));
+    }
+  }
+  if (entry.readableEnded || entry.destroyed) {
+    return Promise.resolve('');
+  }
+  return new Promise((resolve) => {
+    const chunks = [];
+    const done = () => {
+      entry.off('data', collect);
+      entry.off('end', done);
+      entry.off('close', done);
+      resolve(Buffer.concat(chunks).toString());
+    };
+    const collect = (chunk) => chunks.push(chunk);
+    entry.on('data', collect);
+    entry.on('end', done);
+    entry.on('close', done);
+  });
+}
+
+// Read a file for a builtin, with /dev/stdin and /dev/fd/N reading from
+// the fd table
+async function readInputFile(filePath) {
+  const fd = deviceFd(filePath);
+  if (fd !== null) {
+    return readAllInput(currentStdio()[fd]);
+  }
+  return fs.readFileSync(resolvePath(filePath), 'utf8');
+}
+
+// Create a reader of single bytes from a stream in the fd table (a pipe
+// between pipeline stages). finish gives back what was read from the
+// stream but not used, for the commands after read.
+function createStreamReader(stream) {
+  let buffer = Buffer.alloc(0);
+  let offset = 0;
+  let finished = false;
+  let stopWaiting = null;
+  
+  return {
+    // Get the next byte, or null at the end of the input
+    async next() {
+      while (!finished) {
+        if (offset < buffer.length) {
+          return buffer[offset++];
+        }
+        const chunk = stream.destroyed ? null : stream.read();
+        if (chunk !== null) {
+          buffer = Buffer.from(chunk);
+          offset = 0;
+          continue;
+        }
+        if (stream.readableEnded || stream.destroyed) {
+          return null;
+        }
+        await new Promise((resolve) => {
+          stopWaiting = () => {
+            stream.off('readable', stopWaiting);
+            stream.off('end', stopWaiting);
+            stream.off('close', stopWaiting);
+            stopWaiting = null;
+            resolve();
+          };
+          stream.on('readable', stopWaiting);
+          stream.on('end', stopWaiting);
+          stream.on('close', stopWaiting);
+        });
+      }
+      return null;
+    },
+    finish() {
+      finished = true;
+      if (stopWaiting) {
+        stopWaiting();
+      }
+      if (offset < buffer.length && !stream.destroyed) {
+        stream.unshift(buffer.subarray(offset));
+      }
+    },
+  };
+}
+
+// Create a reader of single bytes from an OS file descriptor. Reading a
+// byte at a time leaves the rest of the input to the commands after read.
+// Regular files never block, so they are read synchronously.
+function createDescriptorReader(fd) {
+  const byte = Buffer.alloc(1);
+  let isFile = false;
+  try {
+    isFile = fs.fstatSync(fd).isFile();
+  } catch (err) {
+    // Reported by the first read
+  }
+  // A non-blocking descriptor (such as a terminal readline has used) is
+  // read through a blocking copy
+  let copy = null;
+  
+  const readByte = (resolve, reject) => {
+    fs.read(copy !== null ? copy : fd, byte, 0, 1, null, (err, bytesRead) => {
+      if (err && err.code === 'EAGAIN' && copy === null) {
+        try {
+          copy = fs.openSync(`/dev/fd/${fd}`, 'r');
+        } catch (openErr) {
+          reject(err);
+          return;
+        }
+        readByte(resolve, reject);
+      } else if (err) {
+        reject(err);
+      } else {
+        resolve(bytesRead === 1 ? byte[0] : null);
+      }
+    });
+  };
+  
+  return {
+    // Get the next byte, or null at the end of the input
+    next() {
+      if (isFile) {
+        return Promise.resolve(fs.readSync(fd, byte, 0, 1, null) === 1 ? byte[0] : null);
+      }
+      return new Promise(readByte);
+    },
+    finish() {
+      if (copy !== null) {
+        closeFds([copy]);
+      }
+    },
+  };
+}
+
+// Read input for the read builtin from an fd table entry, up to a
+// delimiter not escaped by a backslash (unless raw) or until count
+// characters have been read. Returns { text, status } where text doesn't
+// include the delimiter and status is 0 if the delimiter or count was
+// reached, 1 at the end of the input, or 128 + SIGALRM after timeout
+// seconds. Throws the error of a failed read.
+async function readInput(entry, { delimiter, count, timeout, raw, silent }) {
+  if (entry === undefined || entry === 'closed') {
+    throw Object.assign(new Error('Bad file descriptor'), { code: 'EBADF' });
+  }
+  if (entry === 0 && process.stdin.isTTY) {
+    return readTerminalInput({ delimiter, count, timeout, raw, silent });
+  }
+  
+  const reader = isStreamEntry(entry) ? createStreamReader(entry) : createDescriptorReader(entry);
+  const timedOut = {};
+  let timer = null;
+  const timeoutReached = new Promise((resolve) => {
+    if (timeout !== null) {
+      timer = setTimeout(() => resolve(timedOut), timeout * 1000);
+    }
+  });
+  
+  const bytes = [];
+  let characters = 0;
+  let escaped = false;
+  try {
+    for (;;) {
+      if (count !== null && characters >= count) {
+        return { text: Buffer.from(bytes).toString(), status: 0 };
+      }
+      const byte = await Promise.race([reader.next(), timeoutReached]);
+      if (byte === timedOut) {
+        return { text: Buffer.from(bytes).toString(), status: 128 + os.constants.signals.SIGALRM };
+      }
+      if (byte === null) {
+        return { text: Buffer.from(bytes).toString(), status: 1 };
+      }
+      
+      // Read the rest of a multibyte UTF-8 character
+      const charBytes = [byte];
+      const length = byte >= 0xf0 ? 4 : byte >= 0xe0 ? 3 : byte >= 0xc0 ? 2 : 1;
+      while (charBytes.length < length) {
+        const next = await reader.next();
+        if (next === null) {
+          break;
+        }
+        charBytes.push(next);
+      }
+      const char = Buffer.from(charBytes).toString();
+      
+      if (char === delimiter && !escaped) {
+        return { text: Buffer.from(bytes).toString(), status: 0 };
+      }
+      bytes.push(...charBytes);
+      characters++;
+      escaped = !raw && !escaped && char === '\\';
+    }
+  } finally {
+    clearTimeout(timer);
+    reader.finish();
+  }
+}
+
+// Read from the terminal the shell was started on, for the read builtin
+// (see readInput). The terminal is put in raw mode so that -s, -n and -d
+// work: characters are echoed (unless silent) and Backspace handled here.
+// readline's key handling is set aside meanwhile, and input typed past
+// the delimiter is left for it.
+function readTerminalInput({ delimiter, count, timeout, raw, silent }) {
+  return new Promise((resolve) => {
+    const input = process.stdin;
+    const keypressListeners = input.listeners('keypress');
+    input.removeAllListeners('keypress');
+    input.setRawMode(true);
+    
+    const decoder = new StringDecoder('utf8');
+    const echo = (text) => {
+      if (!silent) {
+        process.stdout.write(text);
+      }
+    };
+    let text = '';
+    let escaped = false;
+    let timer = null;
+    
+    const finish = (status, rest = '') => {
+      clearTimeout(timer);
+      input.off('data', onData);
+      input.pause();
+      input.setRawMode(false);
+      if (rest !== '') {
+        input.unshift(Buffer.from(rest));
+      }
+      for (const listener of keypressListeners) {
+        input.on('keypress', listener);
+      }
+      resolve({ text, status });
+    };
+    
+    const onData = (data) => {
+      const chars = [...decoder.write(data)];
+      for (let i = 0; i < chars.length; i++) {
+        const char = chars[i] === '\r' ? '\n' : chars[i];
+        const rest = chars.slice(i + 1).join('');
+        if (char === '\x03') {
+          // Ctrl-C interrupts the read, as SIGINT would
+          process.stdout.write('^C');
+          finish(128 + os.constants.signals.SIGINT);
+          receiveSignal('SIGINT');
+          return;
+        }
+        if (char === '\x1a') {
+          // Ctrl-Z can't stop a builtin
+          continue;
+        }
+        if (char === '\x04' && text === '') {
+          // Ctrl-D on an empty line is the end of the input
+          finish(1, rest);
+          return;
+        }
+        if (char === '\x7f' || char === '\b') {
+          if (text !== '') {
+            text = [...text].slice(0, -1).join('');
+            echo('\b \b');
+          }
+          escaped = false;
+          continue;
+        }
+        if (char === delimiter && !escaped) {
+          if (char === '\n') {
+            echo('\n');
+          }
+          finish(0, rest);
+          return;
+        }
+        text += char;
+        echo(char);
+        escaped = !raw && !escaped && char === '\\';
+        if (count !== null && [...text].length >= count) {
+          finish(0, rest);
+          return;
+        }
+      }
+    };
+    
+    if (timeout !== null) {
+      timer = setTimeout(() => finish(128 + os.constants.signals.SIGALRM), timeout * 1000);
+    }
+    if (count === 0) {
+      finish(0);
+      return;
+    }
+    input.on('data', onData);
+    input.resume();
+  });
+}
+
+// Describe a file system error the way the shell reports it
+function fileErrorMessage(err) {
+  const messages = {
+    ENOENT: 'No such file or directory',
+    EACCES: 'Permission denied',
+    EISDIR: 'Is a directory',
+    ENOTDIR: 'Not a directory',
+    EPERM: 'Operation not permitted',
+    EBADF: 'Bad file descriptor',
+    ENOSPC: 'No space left on device',
+    EPIPE: 'Broken pipe',
+    EIO: 'Input/output error',
+  };
+  return messages[err.code] || err.message;
+}
+
+// Open the file of a redirection. With noclobber (set -C), > and &>
+// refuse to overwrite an existing regular file; >| always overwrites.
+function openRedirectionFile(target, operator) {
+  if (shell().options.noclobber && ['>', '&>', '>&'].includes(operator)) {
+    let stats = null;
+    try {
+      stats = fs.statSync(resolvePath(target));
+    } catch (err) {
+      // Doesn't exist yet
+    }
+    if (stats && stats.isFile()) {
+      throw expansionError(`${target}: cannot overwrite existing file`);
+    }
+  }
+  
+  const flags = {
+    '<': 'r',
+    '>': 'w',
+    '>|': 'w',
+    '&>': 'w',
+    '>&': 'w',
+    '>>': 'a',
+    '&>>': 'a',
+    '<>': fs.constants.O_RDWR | fs.constants.O_CREAT,
+  }[operator];
+  try {
+    return fs.openSync(resolvePath(target), flags, 0o666);
+  } catch (err) {
+    throw expansionError(`${target}: ${fileErrorMessage(err)}`);
+  }
+}
+
+// Expand the target word of a redirection, which must be a single field
+async function expandRedirectionTarget(word) {
+  const fields = await expandWords([word]);
+  if (fields.length !== 1) {
+    throw expansionError(`${word}: ambiguous redirect`);
+  }
+  return fields[0];
+}
+
+// Apply redirections in order to a copy of an fd table (see stdioContext).
+// Returns the new table and the descriptors opened for it, which must be
+// closed with closeFds. Throws an expansion error if one fails.
+async function applyRedirections(redirections, stdio) {
+  const table = stdio.slice();
+  const opened = [];
+  
+  try {
+    for (const { fd, operator, target: word, heredoc } of redirections) {
+      if (operator === '<<') {
+        const descriptor = openTemporaryInput(await getHereDocumentContent(heredoc));
+        opened.push(descriptor);
+        table[fd !== null ? fd : 0] = descriptor;
+        continue;
+      }
+      if (operator === '<<<') {
+        // Here-strings aren't split or globbed
+        const descriptor = openTemporaryInput((await expandWord(word, false))[0] + '\n');
+        opened.push(descriptor);
+        table[fd !== null ? fd : 0] = descriptor;
+        continue;
+      }
+      
+      const target = await expandRedirectionTarget(word);
+      
+      // n>&m and n<&m duplicate m, n>&- closes n and n>&m- moves m to n
+      if (operator === '>&' || operator === '<&') {
+        const fdNumber = fd !== null ? fd : (operator === '<&' ? 0 : 1);
+        const match = target.match(/^([0-9]*)(-?)$/);
+        if (match && target !== '') {
+          if (match[1] === '') {
+            table[fdNumber] = 'closed';
+            continue;
+          }
+          const source = parseInt(match[1], 10);
+          if (table[source] === undefined || table[source] === 'closed') {
+            throw expansionError(`${match[1]}: Bad file descriptor`);
+          }
+          table[fdNumber] = table[source];
+          if (match[2]) {
+            table[source] = 'closed';
+          }
+          continue;
+        }
+        // >&file without a descriptor number is the same as &>file
+        if (operator === '<&' || fd !== null) {
+          throw expansionError(`${target}: ambiguous redirect`);
+        }
+      }
+      
+      // /dev/stdin, /dev/fd/N and the like duplicate the descriptor
+      const device = deviceFd(target);
+      if (device !== null) {
+        if (table[device] === undefined || table[device] === 'closed') {
+          throw expansionError(`${target}: Bad file descriptor`);
+        }
+        if (operator === '&>' || operator === '&>>' || operator === '>&') {
+          table[1] = table[device];
+          table[2] = table[device];
+        } else {
+          table[fd !== null ? fd : (operator.startsWith('<') ? 0 : 1)] = table[device];
+        }
+        continue;
+      }
+      
+      const descriptor = openRedirectionFile(target, operator);
+      opened.push(descriptor);
+      
+      if (operator === '&>' || operator === '&>>' || operator === '>&') {
+        table[1] = descriptor;
+        table[2] = descriptor;
+      } else if (fd !== null) {
+        table[fd] = descriptor;
+      } else {
+        table[operator.startsWith('<') ? 0 : 1] = descriptor;
+      }
+    }
+  } catch (err) {
+    closeFds(opened);
+    throw err;
+  }
+  
+  return { stdio: table, opened };
+}
+
+// Close descriptors opened by applyRedirections
+function closeFds(fds) {
+  for (const fd of fds) {
+    try {
+      fs.closeSync(fd);
+    } catch (err) {
+      // Already closed
+    }
+  }
+}
+
+// Run fn with redirections applied to the current fd table, closing the
+// files they opened afterwards. A failed redirection is reported and
+// makes the status 1 without running fn.
+async function withRedirections(redirections, fn) {
+  if (redirections.length === 0) {
+    return fn();
+  }
+  let redirected;
+  try {
+    redirected = await applyRedirections(redirections, currentStdio());
+  } catch (err) {
+    return reportExpansionError(err);
+  }
+  try {
+    return await withStdio(redirected.stdio, fn);
+  } finally {
+    closeFds(redirected.opened);
+  }
+}
+
+// Convert an fd table into the stdio option of spawn. Streams become
+// pipes, connected by spawnProgram.
+function toSpawnStdio(stdio) {
+  const spawnStdio = [];
+  for (let fd = 0; fd < Math.max(stdio.length, 3); fd++) {
+    const entry = stdio[fd];
+    if (entry === undefined || entry === 'closed') {
+      spawnStdio.push('ignore');
+    } else {
+      spawnStdio.push(isStreamEntry(entry) ? 'pipe' : entry);
+    }
+  }
+  return spawnStdio;
+}
+
+// Wait until a pipe can take more output, which lets the stage reading
+// it run while a builtin writes in a loop
+function waitForDrain(target) {
+  if (!isStreamEntry(target) || target.destroyed || !target.writableNeedDrain) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => {
+    const done = () => {
+      target.off('drain', done);
+      target.off('close', done);
+      resolve();
+    };
+    target.on('drain', done);
+    target.on('close', done);
+  });
+}
+
+// Write a builtin's output to an fd table entry. Returns null, or why the
+// write failed (a closed fd writes nothing).
+function writeToFd(target, text) {
+  if (text === '') {
+    return null;
+  }
+  if (isStreamEntry(target)) {
+    if (target.destroyed) {
+      // Nothing reads the pipe any more: like SIGPIPE, this ends the
+      // pipeline stage writing to it
+      throw { exitShell: true, status: 128 + os.constants.signals.SIGPIPE };
+    }
+    target.write(text);
+  } else if (target === 'closed' || target === undefined) {
+    return 'Bad file descriptor';
+  } else if (target === 1) {
+    process.stdout.write(text);
+  } else if (target === 2) {
+    process.stderr.write(text);
+  } else {
+    try {
+      fs.writeSync(target, text);
+    } catch (err) {
+      return fileErrorMessage(err);
+    }
+  }
+  return null;
+}
+
+// Reserved words (recognized only as the first word of a command)
+const RESERVED_WORDS = ['if', 'then', 'elif', 'else', 'fi', 'for', 'in', 'while', 'until', 'do', 'done', 'case', 'esac', 'function', '{', '}', '!', '[[', ']]'];
+
+// Reserved words after which the next word starts a command
+const COMMAND_PREFIX_WORDS = ['if', 'then', 'elif', 'else', 'do', 'while', 'until', '{', '!'];
+
+// Reserved words that end a command list, and so may follow a compound
+// command without a ; in between (as in "fi }")
+const LIST_TERMINATORS = ['then', 'elif', 'else', 'fi', 'do', 'done', 'esac', '}'];
+
+// Shell operators, longest first
+const SHELL_OPERATORS = [';;&', '&&', '||', '|&', ';;', ';&', '&>>', '&>', '<<<', '<<-', '<<', '<>', '<&', '>>', '>|', '>&', ';', '&', '|', '(', ')', '<', '>'];
+
+// Operators ending the commands of a case item: ;; ends the case, ;&
+// runs the next item's commands too and ;;& tests the next patterns
+const CASE_TERMINATORS = [';;', ';&', ';;&'];
+
+// Redirection operators (<< and <<- start here-documents)
+const REDIRECTION_OPERATORS = ['&>>', '&>', '<<<', '<<-', '<<', '<>', '<&', '>>', '>|', '>&', '<', '>'];
+
+// Create a syntax error; incomplete errors mean more input is needed
+function shellSyntaxError(token) {
+  const err = new Error(token === null
+    ? 'syntax error: unexpected end of file'
+    : `syntax error near unexpected token '${token}'`);
+  err.syntax = true;
+  err.incomplete = token === null;
+  return err;
+}
+
+// Create the error for a quote or substitution still open at the end of
+// the input (incomplete, so the prompt reads another line)
+function unterminatedError(closing) {
+  const err = new Error(`unexpected EOF while looking for matching '${closing}'`);
+  err.syntax = true;
+  err.incomplete = true;
+  return err;
+}
+
+// Create a lexer splitting shell input into tokens. Tokens are read one at
+// a time as the parser asks for them, so the lexer knows when a word is in
+// command position (where reserved words and aliases are recognized) and
+// reads here-document bodies after the line that started them.
+function createLexer(input, interactive) {
+  return {
+    input,
+    pos: 0,
+    line: 1,
+    interactive,
+    // The next word may be a command name
+    commandPosition: true,
+    // The next token follows "for" (and may be a ((...)) header)
+    afterFor: false,
+    // The next word is the name after "function"
+    afterFunction: false,
+    // The next words are patterns of a case item or operands of [[ ]],
+    // which aren't commands
+    plainWords: false,
+    // The next word is the regular expression after =~ in [[ ]]
+    regexWord: false,
+    // The next word is the target of a redirection
+    redirectTarget: false,
+    // Here-documents whose bodies start after the next newline
+    hereDocuments: [],
+    // Whether aliases are expanded (not when only finding the end of a
+    // command substitution, whose positions must stay those of the input)
+    expandAliases: true,
+    // Aliases being expanded, which aren't expanded again
+    expandedAliases: new Set(),
+    // The next word from here on is checked for an alias too, after an
+    // alias whose value ends in a blank
+    aliasCheckAt: -1,
+  };
+}
+
+// Read the next token: { type, value, start, end, line }. Types are
+// 'word' (raw text, quotes kept; commandPosition says if it was the first
+// word of a command), 'operator', 'ionumber' (the 2 of 2>file), 'arith'
+// (the expression of a ((...)) command), 'newline' and 'eof'.
+function readToken(lexer) {
+  for (;;) {
+    skipBlanks(lexer);
+    const input = lexer.input;
+    const start = lexer.pos;
+    const line = lexer.line;
+    const token = (type, value) => ({ type, value, start, end: lexer.pos, line });
+    
+    if (start >= input.length) {
+      readHereDocumentBodies(lexer);
+      return token('eof', '');
+    }
+    
+    if (input[start] === '\n') {
+      lexer.pos++;
+      lexer.line++;
+      readHereDocumentBodies(lexer);
+      lexer.commandPosition = true;
+      lexer.afterFor = false;
+      return token('newline', '\n');
+    }
+    
+    // ((expression)) arithmetic command (also the header of for ((...)))
+    if ((lexer.commandPosition || lexer.afterFor) && !lexer.plainWords && input.startsWith('((', start)) {
+      const end = findClosingParen(input, start + 2);
+      if (end === -1) {
+        throw unterminatedError(')');
+      }
+      if (input[end + 1] === ')') {
+        lexer.pos = end + 2;
+        lexer.line += countNewlines(input.slice(start, lexer.pos));
+        lexer.commandPosition = true;
+        lexer.afterFor = false;
+        return token('arith', input.slice(start + 2, end));
+      }
+    }
+    
+    // A regular expression may have (, ), |, < and > in it
+    if (lexer.regexWord) {
+      lexer.regexWord = false;
+      const regex = scanWord(lexer, true);
+      if (regex !== '') {
+        return token('word', regex);
+      }
+    }
+    
+    const operator = SHELL_OPERATORS.find(op => input.startsWith(op, start));
+    if (operator) {
+      lexer.pos += operator.length;
+      if (REDIRECTION_OPERATORS.includes(operator)) {
+        lexer.redirectTarget = true;
+      } else {
+        lexer.commandPosition = true;
+      }
+      lexer.afterFor = false;
+      return token('operator', operator);
+    }
+    
+    const value = scanWord(lexer);
+    
+    // Digits right before < or > are the file descriptor of a redirection
+    if (/^[0-9]+$/.test(value) && (input[lexer.pos] === '<' || input[lexer.pos] === '>')) {
+      return token('ionumber', value);
+    }
+    
+    if (lexer.redirectTarget) {
+      lexer.redirectTarget = false;
+      return token('word', value);
+    }
+    
+    // Alias expansion: the alias value replaces the word in the input,
+    // which is then read again
+    let checkAlias = lexer.commandPosition && !lexer.afterFunction && !lexer.plainWords;
+    if (lexer.aliasCheckAt !== -1 && start >= lexer.aliasCheckAt) {
+      checkAlias = true;
+      lexer.aliasCheckAt = -1;
+    }
+    if (checkAlias && lexer.expandAliases && shell().aliases.has(value) && !lexer.expandedAliases.has(value)) {
+      const aliasValue = shell().aliases.get(value);
+      lexer.input = input.slice(0, start) + aliasValue + input.slice(lexer.pos);
+      lexer.pos = start;
+      lexer.expandedAliases.add(value);
+      if (/[ \t]$/.test(aliasValue)) {
+        lexer.aliasCheckAt = start + aliasValue.length;
+      }
+      continue;
+    }
+    
+    const word = token('word', value);
+    word.commandPosition = lexer.commandPosition && !lexer.afterFunction && !lexer.plainWords;
+    
+    if (lexer.plainWords) {
+      lexer.commandPosition = false;
+    } else if (lexer.afterFunction) {
+      // The body follows the function name
+      lexer.afterFunction = false;
+      lexer.commandPosition = true;
+    } else if (lexer.commandPosition) {
+      lexer.expandedAliases.clear();
+      if (value === 'for') {
+        lexer.commandPosition = false;
+        lexer.afterFor = true;
+      } else if (value === 'function') {
+        lexer.commandPosition = false;
+        lexer.afterFunction = true;
+      } else if (!COMMAND_PREFIX_WORDS.includes(value) && !LIST_TERMINATORS.includes(value) &&
+                 !/^[A-Za-z_][A-Za-z0-9_]*=/.test(value)) {
+        // Assignments may come before the command name
+        lexer.commandPosition = false;
+      }
+    } else {
+      lexer.afterFor = false;
+    }
+    return word;
+  }
+}
+
+// Skip blanks, line continuations and comments before a token
+function skipBlanks(lexer) {
+  const input = lexer.input;
+  while (lexer.pos < input.length) {
+    const char = input[lexer.pos];
+    if (char === ' ' || char === '\t') {
+      lexer.pos++;
+    } else if (char === '\\' && input[lexer.pos + 1] === '\n') {
+      lexer.pos += 2;
+      lexer.line++;
+    } else if (char === '\\' && lexer.pos + 1 === input.length && lexer.interactive) {
+      // A backslash at the end of the line continues it
+      throw shellSyntaxError(null);
+    } else if (char === '#') {
+      while (lexer.pos < input.length && input[lexer.pos] !== '\n') {
+        lexer.pos++;
+      }
+    } else {
+      break;
+    }
+  }
+}
+
+// Count the newlines in text
+function countNewlines(text) {
+  return text.split('\n').length - 1;
+}
+
+// Read a word at the lexer position, keeping its quotes and substitutions
+// as written. Line continuations (backslash-newline) are removed. A
+// regular expression (of [[ =~ ]]) goes on over |, <, > and parentheses,
+// up to an unmatched ).
+function scanWord(lexer, regex = false) {
+  const input = lexer.input;
+  let i = lexer.pos;
+  let value = '';
+  let depth = 0;
+  
+  while (i < input.length && !(regex ? ' \t\n;&' : ' \t\n;&|<>()').includes(input[i])) {
+    const char = input[i];
+    let end;
+    if (regex && (char === '(' || char === ')')) {
+      if (char === ')' && depth === 0) {
+        break;
+      }
+      depth += char === '(' ? 1 : -1;
+      end = i + 1;
+    } else if (char === '\\') {
+      if (input[i + 1] === '\n') {
+        i += 2;
+        lexer.line++;
+        continue;
+      }
+      if (i + 1 === input.length && lexer.interactive) {
+        throw shellSyntaxError(null);
+      }
+      end = Math.min(i + 2, input.length);
+    } else if (char === "'") {
+      end = input.indexOf("'", i + 1) + 1;
+      if (end === 0) {
+        throw unterminatedError("'");
+      }
+    } else if (char === '"') {
+      end = findClosingDoubleQuote(input, i + 1) + 1;
+      if (end === 0) {
+        throw unterminatedError('"');
+      }
+    } else if (char === '`') {
+      end = findClosingBacktick(input, i + 1) + 1;
+      if (end === 0) {
+        throw unterminatedError('`');
+      }
+    } else if (char === '$' && input[i + 1] === '(') {
+      end = findSubstitutionEnd(input, i) + 1;
+      if (end === 0) {
+        throw unterminatedError(')');
+      }
+    } else if (char === '$' && input[i + 1] === '{') {
+      end = findClosingBrace(input, i + 2) + 1;
+      if (end === 0) {
+        throw unterminatedError('}');
+      }
+    } else {
+      end = i + 1;
+    }
+    const part = input.slice(i, end);
+    lexer.line += countNewlines(part);
+    value += part;
+    i = end;
+  }
+  
+  lexer.pos = i;
+  return value;
+}
+
+// Find the index of the " closing a double-quoted string that starts at
+// start, skipping escapes and substitutions. Returns -1 if unclosed.
+function findClosingDoubleQuote(str, start) {
+  for (let i = start; i < str.length; i++) {
+    const char = str[i];
+    let end = i;
+    if (char === '\\') {
+      end = i + 1;
+    } else if (char === '"') {
+      return i;
+    } else if (char === '`') {
+      end = findClosingBacktick(str, i + 1);
+    } else if (char === '$' && str[i + 1] === '(') {
+      end = findSubstitutionEnd(str, i);
+    } else if (char === '$' && str[i + 1] === '{') {
+      end = findClosingBrace(str, i + 2);
+    }
+    if (end === -1) {
+      return -1;
+    }
+    i = end;
+  }
+  return -1;
+}
+
+// Read the bodies of the pending here-documents from the lines at the
+// lexer position. A body ends at a line holding only its delimiter (<<-
+// strips leading tabs first). An unterminated body is an incomplete-input
+// error when interactive and runs to the end of the input otherwise.
+function readHereDocumentBodies(lexer) {
+  const input = lexer.input;
+  for (const doc of lexer.hereDocuments) {
+    const lines = [];
+    let terminated = false;
+    while (lexer.pos < input.length) {
+      let end = input.indexOf('\n', lexer.pos);
+      if (end === -1) {
+        end = input.length;
+      }
+      let line = input.slice(lexer.pos, end);
+      lexer.pos = Math.min(end + 1, input.length);
+      lexer.line++;
+      if (doc.stripTabs) {
+        line = line.replace(/^\t+/, '');
+      }
+      if (line === doc.delimiter) {
+        terminated = true;
+        break;
+      }
+      lines.push(line);
+    }
+    if (!terminated) {
+      if (lexer.interactive) {
+        throw shellSyntaxError(null);
+      }
+      writeToFd(currentStdio()[2], `warning: here-document delimited by end-of-file (wanted '${doc.delimiter}')\n`);
+    }
+    doc.body = lines.length > 0 ? lines.join('\n') + '\n' : '';
+  }
+  lexer.hereDocuments = [];
+}
+
+// Create a parser reading statements from shell input
+function createParser(input, interactive = false) {
+  return { lexer: createLexer(input, interactive), token: null, lastEnd: 0 };
+}
+
+// Look at the next token without consuming it
+function peekToken(parser) {
+  if (parser.token === null) {
+    parser.token = readToken(parser.lexer);
+  }
+  return parser.token;
+}
+
+// Consume the next token
+function nextToken(parser) {
+  const token = peekToken(parser);
+  parser.token = null;
+  parser.lastEnd = token.end;
+  return token;
+}
+
+// Check if a token is the reserved word word
+function isReservedWord(token, word) {
+  return token.type === 'word' && token.commandPosition && token.value === word;
+}
+
+// Check if a token is one of the given operators
+function isOperator(token, ...operators) {
+  return token.type === 'operator' && operators.includes(token.value);
+}
+
+// Check if a token starts a redirection
+function isRedirection(token) {
+  return token.type === 'ionumber' || (token.type === 'operator' && REDIRECTION_OPERATORS.includes(token.value));
+}
+
+// Create the syntax error for an unexpected token
+function unexpectedToken(token) {
+  let err;
+  if (token.type === 'eof') {
+    err = shellSyntaxError(null);
+  } else {
+    err = shellSyntaxError(token.type === 'newline' ? 'newline' : token.value);
+  }
+  err.line = token.line;
+  return err;
+}
+
+// Skip newline tokens
+function skipNewlines(parser) {
+  while (peekToken(parser).type === 'newline') {
+    nextToken(parser);
+  }
+}
+
+// Parse a script or command line into statement nodes such as
+// { type: 'simple', ... } and { type: 'if', ... }. Throws a syntax error
+// (with err.incomplete set if the input ended early, including an
+// unterminated here-document when interactive).
+function parseStatements(input, interactive = false) {
+  return parseStatementList(createParser(input, interactive), []);
+}
+
+// Parse the statements of the next line of a script (a compound command
+// may span several), or return null at the end. Scripts run each line
+// before the next is parsed, so aliases defined on one apply to the next.
+function parseNextLine(parser) {
+  skipNewlines(parser);
+  if (peekToken(parser).type === 'eof') {
+    return null;
+  }
+  const statements = [];
+  do {
+    statements.push(parseListItem(parser));
+  } while (peekToken(parser).type !== 'newline' && peekToken(parser).type !== 'eof');
+  return statements;
+}
+
+// Parse statements until the end of the input or one of the terminators:
+// reserved words, or operators like the ) closing a subshell
+function parseStatementList(parser, terminators) {
+  const statements = [];
+  for (;;) {
+    skipNewlines(parser);
+    const token = peekToken(parser);
+    const isTerminator = (word) => SHELL_OPERATORS.includes(word) ? isOperator(token, word) : isReservedWord(token, word);
+    if (token.type === 'eof' || terminators.some(isTerminator)) {
+      return statements;
+    }
+    statements.push(parseListItem(parser));
+  }
+}
+
+// Parse an && / || list and the ; or & after it. A list ended by & becomes
+// a { type: 'background' } statement holding its source text.
+function parseListItem(parser) {
+  const start = peekToken(parser).start;
+  const command = parseAndOrList(parser);
+  const token = peekToken(parser);
+  
+  if (isOperator(token, '&')) {
+    const text = parser.lexer.input.slice(start, parser.lastEnd);
+    nextToken(parser);
+    return { type: 'background', command, text };
+  }
+  if (isOperator(token, ';')) {
+    nextToken(parser);
+  } else if (token.type === 'word' && !(token.commandPosition && LIST_TERMINATORS.includes(token.value))) {
+    // Something after a compound command, as in "fi echo"
+    throw unexpectedToken(token);
+  } else if (isOperator(token, '(')) {
+    throw unexpectedToken(token);
+  }
+  return command;
+}
+
+// Parse pipelines joined by && and ||
+function parseAndOrList(parser) {
+  const commands = [parsePipeline(parser)];
+  const operators = [];
+  while (isOperator(peekToken(parser), '&&', '||')) {
+    operators.push(nextToken(parser).value);
+    skipNewlines(parser);
+    commands.push(parsePipeline(parser));
+  }
+  if (operators.length === 0) {
+    return commands[0];
+  }
+  return { type: 'andOr', commands, operators };
+}
+
+// Parse [!] command [| command]... (|& also pipes stderr)
+function parsePipeline(parser) {
+  let negated = false;
+  if (isReservedWord(peekToken(parser), '!')) {
+    nextToken(parser);
+    negated = true;
+  }
+  
+  const commands = [parseCommandNode(parser)];
+  while (isOperator(peekToken(parser), '|', '|&')) {
+    if (nextToken(parser).value === '|&') {
+      commands[commands.length - 1].redirections.push({ fd: 2, operator: '>&', target: '1' });
+    }
+    skipNewlines(parser);
+    commands.push(parseCommandNode(parser));
+  }
+  
+  if (commands.length === 1 && !negated) {
+    return commands[0];
+  }
+  return { type: 'pipeline', commands, negated };
+}
+
+// Parse a simple command, compound command or function definition.
+// Compound commands may be followed by redirections for the whole
+// command, as in "done < file".
+function parseCommandNode(parser) {
+  const token = peekToken(parser);
+  let node;
+  
+  if (token.type === 'arith') {
+    nextToken(parser);
+    node = { type: 'arithmetic', expression: token.value, redirections: [] };
+  } else if (isReservedWord(token, 'if')) {
+    node = parseIfStatement(parser);
+  } else if (isReservedWord(token, 'for')) {
+    node = parseForStatement(parser);
+  } else if (isReservedWord(token, 'while') || isReservedWord(token, 'until')) {
+    node = parseWhileStatement(parser);
+  } else if (isReservedWord(token, 'case')) {
+    node = parseCaseStatement(parser);
+  } else if (isReservedWord(token, '[[')) {
+    node = parseConditionalCommand(parser);
+  } else if (isReservedWord(token, '{')) {
+    node = parseBraceGroup(parser);
+  } else if (isOperator(token, '(')) {
+    node = parseSubshell(parser);
+  } else if (isReservedWord(token, 'function') || isFunctionHeader(parser, token)) {
+    return parseFunctionDefinition(parser);
+  } else if (token.type === 'word' && token.commandPosition && RESERVED_WORDS.includes(token.value)) {
+    // Reserved word that doesn't belong here (e.g. fi without if)
+    throw unexpectedToken(token);
+  } else if (token.type === 'word' || isRedirection(token)) {
+    return parseSimpleCommand(parser);
+  } else {
+    throw unexpectedToken(token);
+  }
+  
+  while (isRedirection(peekToken(parser))) {
+    node.redirections.push(parseRedirection(parser));
+  }
+  return node;
+}
+
+// Parse a simple command: NAME=value assignments, words and redirections
+// in any order (assignments only before the first word)
+function parseSimpleCommand(parser) {
+  const node = { type: 'simple', assignments: [], words: [], redirections: [], line: peekToken(parser).line };
+  
+  for (;;) {
+    const token = peekToken(parser);
+    if (isRedirection(token)) {
+      node.redirections.push(parseRedirection(parser));
+    } else if (token.type === 'word') {
+      nextToken(parser);
+      const assignment = token.value.match(/^([A-Za-z_][A-Za-z0-9_]*)=/);
+      if (assignment && node.words.length === 0) {
+        node.assignments.push({ name: assignment[1], value: token.value.slice(assignment[0].length) });
+      } else {
+        node.words.push(token.value);
+      }
+    } else {
+      return node;
+    }
+  }
+}
+
+// Parse [n]operator target. A here-document's body is read by the lexer
+// at the end of the line and stored in the redirection's heredoc.
+function parseRedirection(parser) {
+  let fd = null;
+  if (peekToken(parser).type === 'ionumber') {
+    fd = parseInt(nextToken(parser).value, 10);
+  }
+  const operator = nextToken(parser).value;
+  const target = nextToken(parser);
+  if (target.type !== 'word') {
+    throw unexpectedToken(target);
+  }
+  
+  if (operator === '<<' || operator === '<<-') {
+    // A quoted delimiter turns off expansion in the body
+    const heredoc = {
+      word: target.value,
+      delimiter: removeQuotes(target.value),
+      expand: !/['"\\]/.test(target.value),
+      stripTabs: operator === '<<-',
+      body: '',
+    };
+    parser.lexer.hereDocuments.push(heredoc);
+    return { fd, operator: '<<', heredoc };
+  }
+  return { fd, operator, target: target.value };
+}
+
+// Remove quotes and backslashes from a word without expanding it
+function removeQuotes(word) {
+  return word.replace(/\\([\s\S])|'([^']*)'|"((?:[^"\\]|\\[\s\S])*)"/g, (match, escaped, single, double) => {
+    if (escaped !== undefined) {
+      return escaped;
+    }
+    return single !== undefined ? single : double.replace(/\\([\\"$`])/g, '$1');
+  });
+}
+
+// Consume the reserved word word, or fail
+function expectReservedWord(parser, word) {
+  const token = nextToken(parser);
+  if (!isReservedWord(token, word)) {
+    throw unexpectedToken(token);
+  }
+}
+
+// Parse a non-empty statement list that must end with one of terminators
+// (the terminator itself is left for the caller)
+function parseRequiredList(parser, terminators) {
+  const statements = parseStatementList(parser, terminators);
+  const token = peekToken(parser);
+  if (token.type === 'eof' || statements.length === 0) {
+    throw unexpectedToken(token);
+  }
+  return statements;
+}
+
+// Parse if list; then list; [elif list; then list;]... [else list;] fi
+function parseIfStatement(parser) {
+  const clauses = [];
+  let elseBody = null;
+  
+  nextToken(parser); // 'if'
+  for (;;) {
+    const condition = parseRequiredList(parser, ['then']);
+    expectReservedWord(parser, 'then');
+    const body = parseRequiredList(parser, ['elif', 'else', 'fi']);
+    clauses.push({ condition, body });
+    
+    const keyword = nextToken(parser).value;
+    if (keyword === 'else') {
+      elseBody = parseRequiredList(parser, ['fi']);
+      expectReservedWord(parser, 'fi');
+      break;
+    }
+    if (keyword === 'fi') {
+      break;
+    }
+  }
+  
+  return { type: 'if', clauses, elseBody, redirections: [] };
+}
+
+// Parse the "do list; done" body of a loop
+function parseLoopBody(parser) {
+  skipNewlines(parser);
+  expectReservedWord(parser, 'do');
+  const body = parseRequiredList(parser, ['done']);
+  expectReservedWord(parser, 'done');
+  return body;
+}
+
+// Parse for name [in words]; do list; done
+// and the arithmetic form for ((init; condition; update)); do list; done
+function parseForStatement(parser) {
+  nextToken(parser); // 'for'
+  const token = nextToken(parser);
+  
+  if (token.type === 'arith') {
+    const expressions = token.value.split(';');
+    if (expressions.length !== 3) {
+      const err = shellSyntaxError('((');
+      err.line = token.line;
+      throw err;
+    }
+    if (isOperator(peekToken(parser), ';')) {
+      nextToken(parser);
+    }
+    const body = parseLoopBody(parser);
+    return {
+      type: 'arithmeticFor',
+      init: expressions[0].trim(),
+      condition: expressions[1].trim(),
+      update: expressions[2].trim(),
+      body,
+      redirections: [],
+    };
+  }
+  
+  if (token.type !== 'word' || !isValidVariableName(token.value)) {
+    throw unexpectedToken(token);
+  }
+  
+  // Without "in words" the loop iterates over the positional parameters
+  let words = null;
+  skipNewlines(parser);
+  if (peekToken(parser).type === 'word' && peekToken(parser).value === 'in') {
+    nextToken(parser);
+    words = [];
+    while (peekToken(parser).type === 'word') {
+      words.push(nextToken(parser).value);
+    }
+    if (peekToken(parser).type !== 'newline' && !isOperator(peekToken(parser), ';')) {
+      throw unexpectedToken(peekToken(parser));
+    }
+  }
+  if (isOperator(peekToken(parser), ';')) {
+    nextToken(parser);
+  }
+  const body = parseLoopBody(parser);
+  return { type: 'for', variable: token.value, words, body, redirections: [] };
+}
+
+// Check if a word starts a name() function definition
+function isFunctionHeader(parser, token) {
+  return token.type === 'word' && token.commandPosition &&
+    /^[A-Za-z_][A-Za-z0-9_.-]*$/.test(token.value) &&
+    /^[ \t]*\(/.test(parser.lexer.input.slice(parser.lexer.pos));
+}
+
+// Parse name() { list; } and function name [()] { list; }
+function parseFunctionDefinition(parser) {
+  let token = nextToken(parser);
+  if (isReservedWord(token, 'function')) {
+    token = nextToken(parser);
+    if (token.type !== 'word') {
+      throw unexpectedToken(token);
+    }
+  }
+  const name = token.value;
+  
+  if (isOperator(peekToken(parser), '(')) {
+    nextToken(parser);
+    const close = nextToken(parser);
+    if (!isOperator(close, ')')) {
+      throw unexpectedToken(close);
+    }
+  }
+  
+  // The opening brace may be on the same line or the next one
+  skipNewlines(parser);
+  expectReservedWord(parser, '{');
+  const body = parseRequiredList(parser, ['}']);
+  expectReservedWord(parser, '}');
+  return { type: 'function', name, body, redirections: [] };
+}
+
+// Parse while/until list; do list; done
+function parseWhileStatement(parser) {
+  const keyword = nextToken(parser).value;
+  const condition = parseRequiredList(parser, ['do']);
+  const body = parseLoopBody(parser);
+  return { type: keyword, condition, body, redirections: [] };
+}
+
+// Parse case word in [(]pattern [| pattern]...) list ;; ... esac (the
+// last item's ;; may be left out)
+function parseCaseStatement(parser) {
+  const lexer = parser.lexer;
+  nextToken(parser); // 'case'
+  const word = nextToken(parser);
+  if (word.type !== 'word') {
+    throw unexpectedToken(word);
+  }
+  skipNewlines(parser);
+  const keyword = nextToken(parser);
+  if (keyword.type !== 'word' || keyword.value !== 'in') {
+    throw unexpectedToken(keyword);
+  }
+  
+  const items = [];
+  lexer.plainWords = true;
+  for (;;) {
+    skipNewlines(parser);
+    const token = peekToken(parser);
+    if (token.type === 'word' && token.value === 'esac') {
+      nextToken(parser);
+      break;
+    }
+    if (isOperator(token, '(')) {
+      nextToken(parser);
+    }
+    const patterns = [];
+    for (;;) {
+      const pattern = nextToken(parser);
+      if (pattern.type !== 'word') {
+        throw unexpectedToken(pattern);
+      }
+      patterns.push(pattern.value);
+      const separator = nextToken(parser);
+      if (isOperator(separator, ')')) {
+        break;
+      }
+      if (!isOperator(separator, '|')) {
+        throw unexpectedToken(separator);
+      }
+    }
+    
+    lexer.plainWords = false;
+    const body = parseStatementList(parser, [...CASE_TERMINATORS, 'esac']);
+    let terminator = ';;';
+    if (peekToken(parser).type === 'eof') {
+      throw unexpectedToken(peekToken(parser));
+    }
+    if (isOperator(peekToken(parser), ...CASE_TERMINATORS)) {
+      terminator = nextToken(parser).value;
+    }
+    lexer.plainWords = true;
+    items.push({ patterns, body, terminator });
+  }
+  lexer.plainWords = false;
+  
+  return { type: 'case', word: word.value, items, redirections: [] };
+}
+
+// Parse [[ expression ]]. Its words are kept as written, to be expanded
+// without word splitting or pathname expansion when it runs; &&, ||,
+// parentheses, < and > inside it are operators of the expression.
+function parseConditionalCommand(parser) {
+  const lexer = parser.lexer;
+  nextToken(parser); // '[['
+  const words = [];
+  lexer.plainWords = true;
+  for (;;) {
+    const token = nextToken(parser);
+    if (token.type === 'word' && token.value === ']]') {
+      break;
+    }
+    if (token.type === 'word' || token.type === 'ionumber') {
+      words.push(token.value);
+      lexer.regexWord = token.value === '=~';
+    } else if (isOperator(token, '&&', '||', '(', ')', '<', '>')) {
+      words.push(token.value);
+      lexer.redirectTarget = false;
+    } else if (token.type !== 'newline') {
+      throw unexpectedToken(token);
+    }
+  }
+  lexer.plainWords = false;
+  
+  return { type: 'conditional', words, expression: parseConditionalExpression(words), redirections: [] };
+}
+
+// Operators between two operands of [[ ]]
+const CONDITIONAL_BINARY_OPERATORS = [...TEST_BINARY_OPERATORS, '=~'];
+
+// Parse the words of [[ ]] into an expression tree of 'or', 'and', 'not',
+// 'unary', 'binary' and 'string' (non-empty test) nodes. ! binds tightest,
+// then &&, then ||.
+function parseConditionalExpression(words) {
+  let pos = 0;
+  const fail = () => {
+    throw shellSyntaxError(pos < words.length ? words[pos] : ']]');
+  };
+  const isOperand = word => word !== undefined && !['&&', '||', '(', ')'].includes(word);
+  
+  const parseOr = () => {
+    let node = parseAnd();
+    while (words[pos] === '||') {
+      pos++;
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  };
+  const parseAnd = () => {
+    let node = parseNot();
+    while (words[pos] === '&&') {
+      pos++;
+      node = { type: 'and', left: node, right: parseNot() };
+    }
+    return node;
+  };
+  const parseNot = () => {
+    if (words[pos] === '!') {
+      pos++;
+      return { type: 'not', operand: parseNot() };
+    }
+    return parsePrimary();
+  };
+  const parsePrimary = () => {
+    const word = words[pos];
+    if (word === '(') {
+      pos++;
+      const node = parseOr();
+      if (words[pos] !== ')') {
+        fail();
+      }
+      pos++;
+      return node;
+    }
+    if (!isOperand(word)) {
+      fail();
+    }
+    if (CONDITIONAL_BINARY_OPERATORS.includes(words[pos + 1])) {
+      pos += 2;
+      if (!isOperand(words[pos])) {
+        fail();
+      }
+      pos++;
+      return { type: 'binary', operator: words[pos - 2], left: word, right: words[pos - 1] };
+    }
+    if (TEST_UNARY_OPERATORS.includes(word) && isOperand(words[pos + 1])) {
+      pos += 2;
+      return { type: 'unary', operator: word, operand: words[pos - 1] };
+    }
+    pos++;
+    return { type: 'string', word };
+  };
+  
+  const expression = parseOr();
+  if (pos < words.length) {
+    fail();
+  }
+  return expression;
+}
+
+// Parse { list; }, a group of commands run in the current shell
+function parseBraceGroup(parser) {
+  nextToken(parser); // '{'
+  const body = parseRequiredList(parser, ['}']);
+  expectReservedWord(parser, '}');
+  return { type: 'group', body, redirections: [] };
+}
+
+// Parse ( list ), commands run in a subshell
+function parseSubshell(parser) {
+  nextToken(parser); // '('
+  const body = parseRequiredList(parser, [')']);
+  const close = nextToken(parser);
+  if (!isOperator(close, ')')) {
+    throw unexpectedToken(close);
+  }
+  return { type: 'subshell', body, redirections: [] };
+}
+
+// Format a redirection back into shell source. Here-document bodies are
+// added to bodies, to be printed after the line.
+function formatRedirection(redirection, bodies) {
+  const fd = redirection.fd !== null ? redirection.fd : '';
+  if (redirection.operator === '<<') {
+    const { heredoc } = redirection;
+    bodies.push(...heredoc.body.split('\n').slice(0, -1), heredoc.delimiter);
+    return `${fd}<<${heredoc.stripTabs ? '-' : ''}${heredoc.word}`;
+  }
+  return `${fd}${redirection.operator}${redirection.target}`;
+}
+
+// Format a pipeline, && / || list or simple command on one line,
+// followed by any here-document bodies
+function formatCommandLine(statement) {
+  const bodies = [];
+  let line;
+  if (statement.type === 'simple') {
+    line = [
+      ...statement.assignments.map(({ name, value }) => `${name}=${value}`),
+      ...statement.words,
+      ...statement.redirections.map(redirection => formatRedirection(redirection, bodies)),
+    ].join(' ');
+  } else if (statement.type === 'pipeline' || statement.type === 'andOr') {
+    const parts = statement.commands.map((command) => {
+      const [part, ...partBodies] = command.type === 'simple'
+        ? formatCommandLine(command)
+        : [formatInline([command])];
+      bodies.push(...partBodies);
+      return part;
+    });
+    if (statement.type === 'pipeline') {
+      line = (statement.negated ? '! ' : '') + parts.join(' | ');
+    } else {
+      line = parts.map((part, index) => (index === 0 ? part : `${statement.operators[index - 1]} ${part}`)).join(' ');
+    }
+  } else {
+    line = formatInline([statement]);
+  }
+  return [line, ...bodies];
+}
+
+// Format a statement back into shell source lines (for type)
+function formatStatement(statement, indent) {
+  const pad = '    '.repeat(indent);
+  const lines = [];
+  
+  if (statement.type === 'simple' || statement.type === 'pipeline' || statement.type === 'andOr') {
+    const [line, ...bodies] = formatCommandLine(statement);
+    lines.push(pad + line, ...bodies);
+    return lines;
+  } else if (statement.type === 'background') {
+    const [line, ...bodies] = formatStatement(statement.command, indent);
+    lines.push(`${line} &`, ...bodies);
+    return lines;
+  } else if (statement.type === 'arithmetic') {
+    lines.push(`${pad}((${statement.expression}))`);
+  } else if (statement.type === 'conditional') {
+    lines.push(`${pad}[[ ${statement.words.join(' ')} ]]`);
+  } else if (statement.type === 'if') {
+    statement.clauses.forEach((clause, index) => {
+      const keyword = index === 0 ? 'if' : 'elif';
+      lines.push(`${pad}${keyword} ${formatInline(clause.condition)}; then`);
+      lines.push(...formatStatements(clause.body, indent + 1));
+    });
+    if (statement.elseBody) {
+      lines.push(`${pad}else`);
+      lines.push(...formatStatements(statement.elseBody, indent + 1));
+    }
+    lines.push(`${pad}fi`);
+  } else if (statement.type === 'for' || statement.type === 'arithmeticFor') {
+    if (statement.type === 'for') {
+      const words = statement.words !== null ? ` in ${statement.words.join(' ')}` : '';
+      lines.push(`${pad}for ${statement.variable}${words}`);
+    } else {
+      lines.push(`${pad}for ((${statement.init}; ${statement.condition}; ${statement.update}))`);
+    }
+    lines.push(`${pad}do`);
+    lines.push(...formatStatements(statement.body, indent + 1));
+    lines.push(`${pad}done`);
+  } else if (statement.type === 'while' || statement.type === 'until') {
+    lines.push(`${pad}${statement.type} ${formatInline(statement.condition)}; do`);
+    lines.push(...formatStatements(statement.body, indent + 1));
+    lines.push(`${pad}done`);
+  } else if (statement.type === 'case') {
+    lines.push(`${pad}case ${statement.word} in `);
+    for (const item of statement.items) {
+      lines.push(`${pad}    ${item.patterns.join(' | ')})`);
+      lines.push(...formatStatements(item.body, indent + 2));
+      lines.push(`${pad}    ${item.terminator}`);
+    }
+    lines.push(`${pad}esac`);
+  } else if (statement.type === 'group') {
+    const body = formatInline(statement.body);
+    lines.push(`${pad}{ ${body}${body.endsWith('&') ? '' : ';'} }`);
+  } else if (statement.type === 'subshell') {
+    lines.push(`${pad}( ${formatInline(statement.body)} )`);
+  } else if (statement.type === 'function') {
+    lines.push(`${pad}${statement.name} () `);
+    lines.push(`${pad}{ `);
+    lines.push(...formatStatements(statement.body, indent + 1));
+    lines.push(`${pad}}`);
+  }
+  
+  // Redirections of a compound command follow its closing keyword
+  const bodies = [];
+  const redirections = statement.redirections.map(redirection => formatRedirection(redirection, bodies));
+  if (redirections.length > 0) {
+    lines[lines.length - 1] += ' ' + redirections.join(' ');
+  }
+  lines.push(...bodies);
+  
+  return lines;
+}
+
+// Format a list of statements, one per line
+function formatStatements(statements, indent) {
+  const lines = [];
+  for (const statement of statements) {
+    lines.push(...formatStatement(statement, indent));
+  }
+  return lines;
+}
+
+// Format a case statement on a single line
+function formatCaseInline(statement) {
+  const items = statement.items.map((item) => {
+    const body = item.body.length > 0 ? ` ${formatInline(item.body)}` : '';
+    return `${item.patterns.join(' | ')})${body}${item.terminator}`;
+  });
+  const redirections = statement.redirections.map(redirection => formatRedirection(redirection, []));
+  return [`case ${statement.word} in ${items.join(' ')} esac`, ...redirections].join(' ');
+}
+
+// Format a list of statements on a single line (for conditions), with
+// no ; after a command ended by &
+function formatInline(statements) {
+  return statements
+    .map(statement => statement.type === 'case' ? formatCaseInline(statement) : formatStatement(statement, 0).join('; '))
+    .reduce((line, part) => line === null ? part : `${line}${line.endsWith('&') ? ' ' : '; '}${part}`, null) || '';
+}
+
+// Execute parsed statements in order and return the last exit code
+async function executeStatements(statements) {
+  for (const statement of statements) {
+    await executeStatement(statement);
+    await handleCommandFailure(statement);
+    await handleSignals();
+  }
+  return shell().lastExitCode;
+}
+
+// Execute a single statement node, setting $? to its status
+async function executeStatement(statement) {
+  // A background job killed by a signal runs no more commands
+  const job = shell().job;
+  if (job && job.killedBy !== null) {
+    throw { exitShell: true, status: 128 + job.killedBy };
+  }
+  
+  if (statement.type === 'simple') {
+    if (!shell().runningTrap) {
+      await runTrap('DEBUG');
+    }
+    shell().lastExitCode = await executeSimpleCommand(statement);
+  } else if (statement.type === 'pipeline') {
+    shell().lastExitCode = statement.negated
+      ? await runCondition(() => executePipeline(statement))
+      : await executePipeline(statement);
+  } else if (statement.type === 'andOr') {
+    shell().lastExitCode = await executeAndOrStatement(statement);
+  } else if (statement.type === 'background') {
+    shell().lastExitCode = await executeBackgroundStatement(statement);
+  } else if (statement.type === 'function') {
+    shell().functions.set(statement.name, statement);
+    shell().lastExitCode = 0;
+  } else {
+    shell().lastExitCode = await withRedirections(statement.redirections, () => executeCompoundCommand(statement));
   }
-  return { exitCode: 0, output: '' };
+  return shell().lastExitCode;
+}
+
+// Execute a compound command (its redirections already applied)
+function executeCompoundCommand(statement) {
+  if (statement.type === 'if') {
+    return executeIfStatement(statement);
+  } else if (statement.type === 'for') {
+    return executeForStatement(statement);
+  } else if (statement.type === 'arithmeticFor') {
+    return executeArithmeticForStatement(statement);
+  } else if (statement.type === 'while' || statement.type === 'until') {
+    return executeWhileStatement(statement);
+  } else if (statement.type === 'case') {
+    return executeCaseStatement(statement);
+  } else if (statement.type === 'group') {
+    return executeStatements(statement.body);
+  } else if (statement.type === 'subshell') {
+    return runInSubshell(() => executeStatements(statement.body));
+  } else if (statement.type === 'conditional') {
+    return executeConditionalCommand(statement);
+  }
+  return executeArithmeticCommand(statement);
 }
 
-// Execute a pipeline of commands
-function executePipeline(commands) {
-  if (commands.length === 0) return;
+// Call a shell function with the given arguments and return its exit code
+async function callFunction(name, args) {
+  const definition = shell().functions.get(name);
+  const savedParams = shell().positionalParams;
+  const savedLoopDepth = shell().loopDepth;
   
-  // Parse each command
-  const parsedCommands = commands.map(cmd => parseCommand(cmd.trim()));
+  shell().positionalParams = args;
+  shell().loopDepth = 0; // break/continue don't reach the caller's loops
+  shell().localScopes.push(new Map());
+  shell().returnDepth++;
   
-  if (parsedCommands.length === 1) {
-    // No pipeline, handle normally (this shouldn't happen here)
-    return false;
+  // The function starts without the DEBUG, ERR and RETURN traps (unless
+  // set -E or -T pass them on); those it sets stay set when it returns (a
+  // RETURN trap running first)
+  const savedTraps = new Map();
+  for (const name of FUNCTION_TRAPS) {
+    if (shell().traps.has(name) && !inheritsTrap(shell(), name)) {
+      savedTraps.set(name, shell().traps.get(name));
+      shell().traps.delete(name);
+    }
   }
   
-  // Create processes/streams for pipeline
-  const processes = [];
-  const fdToClose = [];
-  
-  for (let i = 0; i < parsedCommands.length; i++) {
-    const parsed = parsedCommands[i];
-    const cmd = parsed.args[0];
-    const cmdArgs = parsed.args.slice(1);
-    
-    // Check if builtin
-    if (isBuiltin(cmd)) {
-      // Execute builtin and get output
-      const result = executeBuiltin(cmd, cmdArgs);
-      
-      // Create a readable stream from the output
-      const builtinStream = Readable.from([result.output]);
-      
-      // Create a mock process object with streams
-      const mockProc = {
-        stdout: builtinStream,
-        stdin: null,
-        exitCode: result.exitCode,
-      };
-      
-      processes.push(mockProc);
-    } else {
-      // External command
-      const executablePath = findExecutable(cmd);
-      if (!executablePath) {
-        console.log(`${cmd}: command not found`);
-        return true;
-      }
-      
-      const spawnOptions = {
-        argv0: cmd,
-        stdio: ['pipe', 'pipe', 'inherit'], // stdin, stdout, stderr
-      };
-      
-      // First command: check for input redirection
-      if (i === 0) {
-        if (parsed.inputFile) {
-          try {
-            const inputFd = fs.openSync(parsed.inputFile, 'r');
-            spawnOptions.stdio[0] = inputFd;
-            fdToClose.push(inputFd);
-          } catch (err) {
-            console.log(`${cmd}: ${parsed.inputFile}: No such file or directory`);
-            return true;
-          }
-        } else {
-          spawnOptions.stdio[0] = 'inherit';
-        }
+  try {
+    try {
+      await executeStatements(definition.body);
+    } catch (err) {
+      if (!err.functionReturn) {
+        throw err;
       }
-      
-      // Last command: check for output/error redirection
-      if (i === parsedCommands.length - 1) {
-        if (parsed.outputFile) {
-          try {
-            const outputFd = fs.openSync(parsed.outputFile, parsed.outputAppend ? 'a' : 'w');
-            spawnOptions.stdio[1] = outputFd;
-            fdToClose.push(outputFd);
-          } catch (err) {
-            console.log(`${cmd}: ${parsed.outputFile}: ${err.message}`);
-            return true;
-          }
-        } else {
-          spawnOptions.stdio[1] = 'inherit';
-        }
-        
-        if (parsed.errorFile) {
-          try {
-            const errorFd = fs.openSync(parsed.errorFile, parsed.errorAppend ? 'a' : 'w');
-            spawnOptions.stdio[2] = errorFd;
-            fdToClose.push(errorFd);
-          } catch (err) {
-            console.log(`${cmd}: ${parsed.errorFile}: ${err.message}`);
-            return true;
-          }
-        }
+      shell().lastExitCode = err.status;
+    }
+    await runTrap('RETURN');
+  } finally {
+    for (const [name, action] of savedTraps) {
+      if (!shell().traps.has(name)) {
+        shell().traps.set(name, action);
       }
-      
-      const proc = spawn(executablePath, cmdArgs, spawnOptions);
-      processes.push(proc);
     }
+    shell().returnDepth--;
+    // Restore the caller's values of local variables
+    for (const [varName, saved] of shell().localScopes.pop()) {
+      restoreVariable(varName, saved);
+    }
+    shell().loopDepth = savedLoopDepth;
+    shell().positionalParams = savedParams;
   }
   
-  // Connect pipes between processes
-  for (let i = 1; i < processes.length; i++) {
-    if (processes[i - 1].stdout && processes[i].stdin) {
-      processes[i - 1].stdout.pipe(processes[i].stdin);
-    } else if (processes[i - 1].stdout && !processes[i].stdin) {
-      // Previous has stdout, current doesn't have stdin (builtin)
-      // Do nothing - builtin doesn't read from stdin in our implementation
+  return shell().lastExitCode;
+}
+
+// Run fn with its stdout captured and return the captured text
+async function captureOutput(fn) {
+  const chunks = [];
+  const capture = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    },
+  });
+  const stdio = currentStdio().slice();
+  stdio[1] = capture;
+  await withStdio(stdio, fn);
+  return Buffer.concat(chunks).toString();
+}
+
+// Execute an && / || list: each command runs only if the previous status
+// matches its operator (&& after success, || after failure)
+async function executeAndOrStatement(statement) {
+  const last = statement.commands.length - 1;
+  let status = await runCondition(() => executeStatement(statement.commands[0]));
+  for (let i = 1; i <= last; i++) {
+    const operator = statement.operators[i - 1];
+    if ((operator === '&&' && status === 0) || (operator === '||' && status !== 0)) {
+      const command = statement.commands[i];
+      if (i < last) {
+        status = await runCondition(() => executeStatement(command));
+      } else {
+        status = await executeStatement(command);
+        await handleCommandFailure(command);
+      }
     }
   }
-  
-  // Handle last process/stream
-  const lastProc = processes[processes.length - 1];
-  
-  // If last process is a builtin, pipe its output to stdout
-  if (lastProc.stdout && !lastProc.on) {
-    // It's a builtin (has stdout but no 'on' method)
-    lastProc.stdout.pipe(process.stdout);
+  return status;
+}
+
+// Execute a case statement: run the commands of the first item with a
+// pattern matching the word. An item ended by ;& runs the next item's
+// commands as well, and one ended by ;;& goes on testing the next items.
+async function executeCaseStatement(statement) {
+  let word;
+  try {
+    word = await expandParameterWord(statement.word);
+  } catch (err) {
+    return reportExpansionError(err);
   }
   
-  // Wait for the last process/stream to finish
-  if (lastProc.on) {
-    // Real process
-    lastProc.on('close', (code) => {
-      // Update last exit code from the last process in the pipeline
-      lastExitCode = code !== null ? code : 0;
-      
-      // Close any file descriptors that were opened
-      fdToClose.forEach(fd => {
+  let status = 0;
+  let fallThrough = false;
+  for (const item of statement.items) {
+    if (!fallThrough) {
+      let matched = false;
+      for (const pattern of item.patterns) {
+        let source;
         try {
-          fs.closeSync(fd);
+          source = patternToRegExpSource((await expandWord(pattern, false, true))[0]);
         } catch (err) {
-          // Ignore errors when closing
+          return reportExpansionError(err);
         }
-      });
-      repl();
-    });
-  } else {
-    // Builtin (mock process with stream)
-    if (lastProc.stdout) {
-      lastProc.stdout.on('end', () => {
-        // Update last exit code from builtin
-        lastExitCode = lastProc.exitCode || 0;
-        
-        // Close any file descriptors that were opened
-        fdToClose.forEach(fd => {
-          try {
-            fs.closeSync(fd);
-          } catch (err) {
-            // Ignore errors when closing
-          }
-        });
-        repl();
-      });
-    } else {
-      // Update last exit code from builtin
-      lastExitCode = lastProc.exitCode || 0;
-      
-      // Close any file descriptors that were opened
-      fdToClose.forEach(fd => {
-        try {
-          fs.closeSync(fd);
-        } catch (err) {
-          // Ignore errors when closing
+        if (new RegExp(`^(?:${source})$`).test(word)) {
+          matched = true;
+          break;
         }
-      });
-      repl();
+      }
+      if (!matched) {
+        continue;
+      }
+    }
+    
+    status = item.body.length > 0 ? await executeStatements(item.body) : 0;
+    fallThrough = item.terminator === ';&';
+    if (item.terminator === ';;') {
+      break;
     }
   }
-  
-  return true;
+  return status;
+}
+
+// Execute a [[ ]] command: status 0 if its expression is true, 1 if it's
+// false and 2 if the regular expression of =~ is invalid
+async function executeConditionalCommand(statement) {
+  try {
+    return await evaluateConditional(statement.expression) ? 0 : 1;
+  } catch (err) {
+    if (err.invalidRegex) {
+      return 2;
+    }
+    return reportExpansionError(err);
+  }
 }
 
-// Expand aliases in command line (with recursion detection)
-function expandAliases(commandLine, expandedAliases = new Set()) {
-  // Parse to get the first word (command)
-  const trimmed = commandLine.trim();
-  if (!trimmed) return commandLine;
+// Evaluate an expression tree of [[ ]]. The right side of && and || is
+// only expanded when it's needed; the integer comparisons evaluate their
+// operands as arithmetic expressions.
+async function evaluateConditional(node) {
+  if (node.type === 'and') {
+    return await evaluateConditional(node.left) && evaluateConditional(node.right);
+  } else if (node.type === 'or') {
+    return await evaluateConditional(node.left) || evaluateConditional(node.right);
+  } else if (node.type === 'not') {
+    return !await evaluateConditional(node.operand);
+  } else if (node.type === 'string') {
+    return await expandParameterWord(node.word) !== '';
+  } else if (node.type === 'unary') {
+    return testUnary(node.operator, await expandParameterWord(node.operand));
+  }
   
-  // Find the first word (command name)
-  let firstWord = '';
-  let i = 0;
-  let inQuote = false;
-  let quoteChar = '';
+  const { operator } = node;
+  const left = await expandParameterWord(node.left);
+  if (operator === '=~') {
+    return matchConditionalRegex(left, await expandRegexWord(node.right));
+  } else if (operator === '=' || operator === '==' || operator === '!=') {
+    const source = patternToRegExpSource((await expandWord(node.right, false, true))[0]);
+    return new RegExp(`^(?:${source})$`).test(left) === (operator !== '!=');
+  }
   
-  while (i < trimmed.length) {
-    const char = trimmed[i];
-    
-    if (!inQuote && (char === '"' || char === "'")) {
-      inQuote = true;
-      quoteChar = char;
-      i++;
-      continue;
+  const right = await expandParameterWord(node.right);
+  if (['-eq', '-ne', '-lt', '-le', '-gt', '-ge'].includes(operator)) {
+    try {
+      return testBinary(operator, String(evaluateArithmetic(left)), String(evaluateArithmetic(right)));
+    } catch (err) {
+      if (!err.arithmetic) {
+        throw err;
+      }
+      throw expansionError(err.message);
     }
-    
-    if (inQuote && char === quoteChar) {
-      inQuote = false;
-      quoteChar = '';
+  }
+  return testBinary(operator, left, right);
+}
+
+// Expand the regular expression after =~ into a regular expression
+// source. Quoted text and backslash-escaped characters match literally;
+// the values of unquoted expansions are part of the expression.
+async function expandRegexWord(word) {
+  let source = '';
+  let i = 0;
+  while (i < word.length) {
+    const char = word[i];
+    let end;
+    if (char === '\\' && i + 1 < word.length) {
+      source += escapeRegExp(word[i + 1]);
+      i += 2;
+      continue;
+    } else if (char === "'" || char === '"') {
+      end = (char === "'" ? word.indexOf("'", i + 1) : findClosingDoubleQuote(word, i + 1)) + 1;
+      source += escapeRegExp(await expandParameterWord(word.slice(i, end)));
+      i = end;
+      continue;
+    } else if (char === '`') {
+      end = findClosingBacktick(word, i + 1) + 1;
+    } else if (char === '$' && word[i + 1] === '(') {
+      end = findSubstitutionEnd(word, i) + 1;
+    } else if (char === '$' && word[i + 1] === '{') {
+      end = findClosingBrace(word, i + 2) + 1;
+    } else if (char === '$') {
+      const name = word.slice(i + 1).match(/^([A-Za-z_][A-Za-z0-9_]*|[0-9#?*@!$-])/);
+      end = i + 1 + (name ? name[0].length : 0);
+    } else {
+      source += char;
       i++;
       continue;
     }
-    
-    if (!inQuote && (char === ' ' || char === '\t' || char === ';' || char === '|' || char === '&')) {
-      break;
+    source += await expandParameterWord(word.slice(i, end));
+    i = end;
+  }
+  // POSIX character classes, as in [[:digit:]]
+  return source.replace(/\[:([a-z]+):\]/g, (match, name) => CHARACTER_CLASSES[name] || match);
+}
+
+// Match a string against the regular expression of [[ =~ ]], setting
+// BASH_REMATCH to the matched text and the text of each group (empty if
+// there's no match). Throws if the expression is invalid.
+function matchConditionalRegex(string, source) {
+  let regex;
+  try {
+    regex = new RegExp(source, 's');
+  } catch (err) {
+    throw { invalidRegex: true };
+  }
+  const match = string.match(regex);
+  setArrayVariable('BASH_REMATCH', match ? Array.from(match, group => group || '') : []);
+  return match !== null;
+}
+
+// Execute an if statement: run the first clause whose condition succeeds
+async function executeIfStatement(statement) {
+  for (const clause of statement.clauses) {
+    if (await runCondition(() => executeStatements(clause.condition)) === 0) {
+      return executeStatements(clause.body);
     }
-    
-    firstWord += char;
-    i++;
   }
-  
-  // Check if the first word is an alias
-  if (!aliases.has(firstWord)) {
-    return commandLine;
+  if (statement.elseBody) {
+    return executeStatements(statement.elseBody);
   }
-  
-  // Prevent recursive alias expansion
-  if (expandedAliases.has(firstWord)) {
-    return commandLine;
+  // No branch ran
+  return 0;
+}
+
+// Run a loop body once. Returns 'break', 'continue' or null, passing
+// break N / continue N on to the enclosing loops.
+async function executeLoopBody(body) {
+  try {
+    await executeStatements(body);
+    await pauseBackgroundJob();
+    return null;
+  } catch (err) {
+    if (!err.loopControl) {
+      throw err;
+    }
+    if (err.levels > 1) {
+      err.levels--;
+      throw err;
+    }
+    shell().lastExitCode = 0;
+    return err.loopControl;
+  }
+}
+
+// Run a loop, keeping track of the loop nesting depth
+async function runLoop(loop) {
+  shell().loopDepth++;
+  try {
+    return await loop();
+  } finally {
+    shell().loopDepth--;
+  }
+}
+
+// Execute for name in words; do list; done
+async function executeForStatement(statement) {
+  let words;
+  if (statement.words === null) {
+    words = shell().positionalParams.slice();
+  } else {
+    try {
+      words = await expandWords(statement.words);
+    } catch (err) {
+      return reportExpansionError(err);
+    }
   }
   
-  // Get the alias value
-  const aliasValue = aliases.get(firstWord);
-  
-  // Replace the first word with the alias value
-  const restOfCommand = trimmed.substring(firstWord.length);
-  const expandedCommand = aliasValue + restOfCommand;
-  
-  // Mark this alias as expanded
-  const newExpandedAliases = new Set(expandedAliases);
-  newExpandedAliases.add(firstWord);
-  
-  // Recursively expand aliases in the result
-  return expandAliases(expandedCommand, newExpandedAliases);
+  return runLoop(async () => {
+    let status = 0;
+    for (const word of words) {
+      try {
+        setVariable(statement.variable, word);
+      } catch (err) {
+        return reportExpansionError(err);
+      }
+      const control = await executeLoopBody(statement.body);
+      status = shell().lastExitCode;
+      if (control === 'break') {
+        break;
+      }
+    }
+    return status;
+  });
 }
 
-function repl() {
-rl.question("$ ", (command) => {
-    // Update job states at each prompt
-    updateJobStates();
-    
-    // Add command to history (if not empty)
-    if (command.trim()) {
-      commandHistory.push(command);
+// Execute for ((init; condition; update)); do list; done
+async function executeArithmeticForStatement(statement) {
+  return runLoop(async () => {
+    let status = 0;
+    try {
+      if (statement.init) {
+        await evaluateArithmeticExpansion(statement.init);
+      }
+      // An empty condition is always true
+      while (!statement.condition || await evaluateArithmeticExpansion(statement.condition) !== 0n) {
+        const control = await executeLoopBody(statement.body);
+        status = shell().lastExitCode;
+        if (control === 'break') {
+          break;
+        }
+        if (statement.update) {
+          await evaluateArithmeticExpansion(statement.update);
+        }
+      }
+    } catch (err) {
+      return reportExpansionError(err, '((: ');
     }
-    
-    // Expand braces
-    command = expandBracesInCommand(command);
-    
-    // Expand aliases
-    command = expandAliases(command);
-    
-    // Check for semicolon-separated commands
-    if (command.includes(';') && !command.match(/^[^'"]*;[^'"]*$/)) {
-      // Has semicolon, need to check if it's outside quotes
-      const commands = splitBySemicolon(command);
-      if (commands.length > 1) {
-        // Execute each command sequentially
-        executeCommandsSequentially(commands, 0);
-        return;
+    return status;
+  });
+}
+
+// Execute while/until list; do list; done
+async function executeWhileStatement(statement) {
+  return runLoop(async () => {
+    let status = 0;
+    while (true) {
+      const conditionStatus = await runCondition(() => executeStatements(statement.condition));
+      if (statement.type === 'while' ? conditionStatus !== 0 : conditionStatus === 0) {
+        break;
+      }
+      const control = await executeLoopBody(statement.body);
+      status = shell().lastExitCode;
+      if (control === 'break') {
+        break;
       }
     }
-    
-    // Check for background job (ends with &)
-    const isBackground = command.trim().endsWith('&');
-    if (isBackground) {
-      command = command.trim().slice(0, -1).trim(); // Remove & from command
+    return status;
+  });
+}
+
+// Execute a ((expression)) command: the status is 0 if the value is
+// non-zero and 1 if it is zero
+async function executeArithmeticCommand(statement) {
+  try {
+    return await evaluateArithmeticExpansion(statement.expression) !== 0n ? 0 : 1;
+  } catch (err) {
+    return reportExpansionError(err, '((: ');
+  }
+}
+
+// Create an arithmetic evaluation error
+function arithmeticError(message) {
+  const err = new Error(message);
+  err.arithmetic = true;
+  return err;
+}
+
+// Arithmetic operators, longest first so the tokenizer matches greedily
+const ARITHMETIC_OPERATORS = [
+  '<<=', '>>=',
+  '**', '++', '--', '+=', '-=', '*=', '/=', '%=', '&=', '^=', '|=',
+  '<<', '>>', '<=', '>=', '==', '!=', '&&', '||',
+  '+', '-', '*', '/', '%', '<', '>', '=', '!', '~', '&', '^', '|', '?', ':', ',', '(', ')',
+];
+
+// Assignment operators (x op= y is x = x op y)
+const ARITHMETIC_ASSIGNMENTS = ['=', '+=', '-=', '*=', '/=', '%=', '<<=', '>>=', '&=', '^=', '|='];
+
+// Binary operator precedence (higher binds tighter)
+const ARITHMETIC_PRECEDENCE = {
+  '||': 1, '&&': 2, '|': 3, '^': 4, '&': 5,
+  '==': 6, '!=': 6,
+  '<': 7, '<=': 7, '>': 7, '>=': 7,
+  '<<': 8, '>>': 8,
+  '+': 9, '-': 9,
+  '*': 10, '/': 10, '%': 10,
+  '**': 11,
+};
+
+// Parse an integer constant: decimal, 0x hex, 0 octal or base#digits
+function parseArithmeticNumber(text) {
+  let base = 10;
+  let digits = text;
+  
+  if (/^0[xX]/.test(text)) {
+    base = 16;
+    digits = text.slice(2);
+  } else if (text.includes('#')) {
+    base = parseInt(text.slice(0, text.indexOf('#')), 10);
+    digits = text.slice(text.indexOf('#') + 1);
+  } else if (text.length > 1 && text[0] === '0') {
+    base = 8;
+    digits = text.slice(1);
+  }
+  
+  if (base < 2 || base > 64) {
+    throw arithmeticError(`${text}: invalid arithmetic base (error token is "${text}")`);
+  }
+  
+  // Digits 0-9, then a-z, A-Z, @ and _ (letters are case-insensitive up to base 36)
+  let value = 0n;
+  for (const char of digits) {
+    let digit;
+    if (/[0-9]/.test(char)) {
+      digit = char.charCodeAt(0) - 48;
+    } else if (/[a-z]/.test(char)) {
+      digit = char.charCodeAt(0) - 97 + 10;
+    } else if (/[A-Z]/.test(char)) {
+      digit = char.charCodeAt(0) - 65 + (base <= 36 ? 10 : 36);
+    } else if (char === '@') {
+      digit = 62;
+    } else {
+      digit = 63;
     }
-    
-    // Check for variable assignment (VAR=value)
-    const varAssignMatch = command.match(/^([A-Za-z_][A-Za-z0-9_]*)=(.*)$/);
-    if (varAssignMatch) {
-      const varName = varAssignMatch[1];
-      const varValue = varAssignMatch[2];
-      // Parse the value to handle quotes and variables
-      const parsed = parseCommand(varValue);
-      const expandedValue = parsed.args.join(' ');
-      process.env[varName] = expandedValue;
-      lastExitCode = 0; // Variable assignment succeeds
-      repl();
-      return;
+    if (digit >= base) {
+      throw arithmeticError(`${text}: value too great for base (error token is "${text}")`);
     }
-    
-    // Check for pipeline
-    if (command.includes('|')) {
-      const commands = command.split('|');
-      if (executePipeline(commands)) {
-        return;
-      }
+    value = value * BigInt(base) + BigInt(digit);
+  }
+  return BigInt.asIntN(64, value);
+}
+
+// Split an arithmetic expression into numbers, names and operators
+function tokenizeArithmetic(expression) {
+  const tokens = [];
+  let i = 0;
+  
+  while (i < expression.length) {
+    const rest = expression.slice(i);
+    const space = rest.match(/^\s+/);
+    if (space) {
+      i += space[0].length;
+      continue;
     }
     
-    // Parse the command line into arguments and check for redirection
-    const parsed = parseCommand(command);
-    const args = parsed.args;
-    const outputFile = parsed.outputFile;
-    const outputAppend = parsed.outputAppend;
-    const errorFile = parsed.errorFile;
-    const errorAppend = parsed.errorAppend;
-    const inputFile = parsed.inputFile;
-    
-    if (args.length === 0) {
-      repl();
-      return;
+    const number = rest.match(/^(0[xX][0-9A-Fa-f]+|[0-9]+#[0-9A-Za-z@_]+|[0-9]+)/);
+    if (number) {
+      tokens.push({ type: 'number', value: parseArithmeticNumber(number[0]), start: i });
+      i += number[0].length;
+      continue;
     }
     
-    const cmd = args[0];
-    const cmdArgs = args.slice(1);
-    
-    // Handle exit builtin
-    if (cmd === "exit") {
-      // Save history to HISTFILE before exiting
-      if (process.env.HISTFILE) {
-        try {
-          const content = commandHistory.join('\n') + '\n';
-          fs.writeFileSync(process.env.HISTFILE, content, 'utf8');
-        } catch (err) {
-          // Silently ignore errors when saving history on exit
-        }
-      }
-      process.exit(0);
+    // Variables may be written with or without a leading $
+    const name = rest.match(/^\$?([A-Za-z_][A-Za-z0-9_]*)/);
+    if (name) {
+      tokens.push({ type: 'name', value: name[1], start: i });
+      i += name[0].length;
+      continue;
     }
     
-    // Helper function to write output (to file or console)
-    const writeOutput = (text) => {
-      if (outputFile) {
-        try {
-          if (outputAppend) {
-            fs.appendFileSync(outputFile, text + '\n');
-          } else {
-            fs.writeFileSync(outputFile, text + '\n');
-          }
-        } catch (err) {
-          console.error(`${cmd}: ${outputFile}: ${err.message}`);
+    const operator = ARITHMETIC_OPERATORS.find(op => rest.startsWith(op));
+    if (!operator) {
+      throw arithmeticError(`${expression}: syntax error: invalid arithmetic operator (error token is "${rest}")`);
+    }
+    tokens.push({ type: 'operator', value: operator, start: i });
+    i += operator.length;
+  }
+  
+  return tokens;
+}
+
+// Nesting depth of variables whose values are themselves expressions
+let arithmeticRecursionDepth = 0;
+
+// Evaluate an arithmetic expression and return its value as a 64-bit
+// BigInt. Throws an error with err.arithmetic set on syntax errors and
+// division by zero.
+function evaluateArithmetic(expression) {
+  const parser = { expression, tokens: tokenizeArithmetic(expression), pos: 0, skip: 0 };
+  if (parser.tokens.length === 0) {
+    return 0n;
+  }
+  const value = parseArithmeticComma(parser);
+  if (parser.pos < parser.tokens.length) {
+    throw arithmeticError(`${expression}: syntax error in expression (error token is "${arithmeticErrorToken(parser)}")`);
+  }
+  return value;
+}
+
+// The rest of the expression from the parser's current token
+function arithmeticErrorToken(parser) {
+  const token = parser.tokens[parser.pos] || parser.tokens[parser.tokens.length - 1];
+  return parser.expression.slice(token.start).trim();
+}
+
+// Syntax error at the parser's current token
+function arithmeticSyntaxError(parser) {
+  return arithmeticError(`${parser.expression}: syntax error: operand expected (error token is "${arithmeticErrorToken(parser)}")`);
+}
+
+// Check if the current token is the given operator
+function isArithmeticOperator(parser, operator) {
+  const token = parser.tokens[parser.pos];
+  return token !== undefined && token.type === 'operator' && token.value === operator;
+}
+
+// Read a shell variable as an integer. Unset or empty is 0; any other
+// value that isn't a number is evaluated as an expression itself.
+function getArithmeticVariable(name) {
+  const value = (getVariable(name) || '').trim();
+  if (value === '') {
+    return 0n;
+  }
+  if (/^-?[0-9]+$/.test(value)) {
+    return BigInt.asIntN(64, BigInt(value));
+  }
+  if (arithmeticRecursionDepth >= 1024) {
+    throw arithmeticError(`${name}: expression recursion level exceeded (error token is "${name}")`);
+  }
+  arithmeticRecursionDepth++;
+  try {
+    return evaluateArithmetic(value);
+  } finally {
+    arithmeticRecursionDepth--;
+  }
+}
+
+// Store an integer in a shell variable (not while skipping an
+// unevaluated branch such as the right side of a false &&)
+function setArithmeticVariable(parser, name, value) {
+  if (parser.skip === 0) {
+    setVariable(name, String(value));
+  }
+  return value;
+}
+
+// Apply a binary arithmetic operator; errorStart is the position of the
+// right operand (reported on division by zero)
+function applyArithmeticOperator(parser, operator, left, right, errorStart) {
+  let result;
+  switch (operator) {
+    case '+': result = left + right; break;
+    case '-': result = left - right; break;
+    case '*': result = left * right; break;
+    case '/':
+    case '%':
+      if (right === 0n) {
+        if (parser.skip > 0) {
+          return 0n;
         }
-      } else {
-        console.log(text);
+        const errorToken = parser.expression.slice(errorStart).trim();
+        throw arithmeticError(`${parser.expression}: division by 0 (error token is "${errorToken}")`);
       }
-    };
-    
-    // Create/append error file if specified (even if empty for builtins)
-    if (errorFile) {
-      try {
-        if (errorAppend) {
-          // Create if doesn't exist, don't modify if exists
-          if (!fs.existsSync(errorFile)) {
-            fs.writeFileSync(errorFile, '');
-          }
-        } else {
-          // Overwrite with empty
-          fs.writeFileSync(errorFile, '');
+      result = operator === '/' ? left / right : left % right;
+      break;
+    case '**':
+      if (right < 0n) {
+        if (parser.skip > 0) {
+          return 0n;
         }
-      } catch (err) {
-        console.error(`${cmd}: ${errorFile}: ${err.message}`);
+        throw arithmeticError(`${parser.expression}: exponent less than 0 (error token is "${parser.expression.slice(errorStart).trim()}")`);
       }
+      result = left ** right;
+      break;
+    case '<<': result = left << (right & 63n); break;
+    case '>>': result = left >> (right & 63n); break;
+    case '&': result = left & right; break;
+    case '^': result = left ^ right; break;
+    case '|': result = left | right; break;
+    case '<': return left < right ? 1n : 0n;
+    case '<=': return left <= right ? 1n : 0n;
+    case '>': return left > right ? 1n : 0n;
+    case '>=': return left >= right ? 1n : 0n;
+    case '==': return left === right ? 1n : 0n;
+    case '!=': return left !== right ? 1n : 0n;
+  }
+  // Wrap around like 64-bit integers
+  return BigInt.asIntN(64, result);
+}
+
+// comma: assignment (, assignment)* - the value is the last one
+function parseArithmeticComma(parser) {
+  let value = parseArithmeticAssignment(parser);
+  while (isArithmeticOperator(parser, ',')) {
+    parser.pos++;
+    value = parseArithmeticAssignment(parser);
+  }
+  return value;
+}
+
+// assignment: name op= assignment | ternary
+function parseArithmeticAssignment(parser) {
+  const token = parser.tokens[parser.pos];
+  const next = parser.tokens[parser.pos + 1];
+  if (token && token.type === 'name' && next && next.type === 'operator' &&
+      ARITHMETIC_ASSIGNMENTS.includes(next.value)) {
+    parser.pos += 2;
+    const rightStart = parser.tokens[parser.pos] ? parser.tokens[parser.pos].start : parser.expression.length;
+    const value = parseArithmeticAssignment(parser);
+    if (next.value === '=') {
+      return setArithmeticVariable(parser, token.value, value);
     }
-    
-    // Handle echo builtin
-    if (cmd === "echo") {
-      writeOutput(cmdArgs.join(" "));
-      lastExitCode = 0;
-      repl();
-      return;
-    }
-    
-    // Handle type builtin
-    if (cmd === "type") {
-      const result = executeBuiltin(cmd, cmdArgs);
-      const output = result.output.trim(); // Remove trailing newline for writeOutput
-      writeOutput(output);
-      lastExitCode = result.exitCode;
-      repl();
-      return;
-    }
-    
-    // Handle pwd builtin
-    if (cmd === "pwd") {
-      const result = executeBuiltin(cmd, cmdArgs);
-      const output = result.output.trim(); // Remove trailing newline for writeOutput
-      writeOutput(output);
-      lastExitCode = result.exitCode;
-      repl();
-      return;
+    const current = getArithmeticVariable(token.value);
+    const operator = next.value.slice(0, -1);
+    return setArithmeticVariable(parser, token.value,
+      applyArithmeticOperator(parser, operator, current, value, rightStart));
+  }
+  return parseArithmeticTernary(parser);
+}
+
+// ternary: binary ? comma : assignment - only the chosen branch is evaluated
+function parseArithmeticTernary(parser) {
+  const condition = parseArithmeticBinary(parser, 1);
+  if (!isArithmeticOperator(parser, '?')) {
+    return condition;
+  }
+  parser.pos++;
+  
+  if (condition === 0n) parser.skip++;
+  const whenTrue = parseArithmeticComma(parser);
+  if (condition === 0n) parser.skip--;
+  
+  if (!isArithmeticOperator(parser, ':')) {
+    throw arithmeticError(`${parser.expression}: syntax error: ':' expected for conditional expression (error token is "${arithmeticErrorToken(parser)}")`);
+  }
+  parser.pos++;
+  
+  if (condition !== 0n) parser.skip++;
+  const whenFalse = parseArithmeticAssignment(parser);
+  if (condition !== 0n) parser.skip--;
+  
+  return condition !== 0n ? whenTrue : whenFalse;
+}
+
+// Binary operators by precedence climbing; && and || short-circuit and
+// ** is right-associative
+function parseArithmeticBinary(parser, minPrecedence) {
+  let left = parseArithmeticUnary(parser);
+  
+  while (parser.pos < parser.tokens.length) {
+    const token = parser.tokens[parser.pos];
+    const precedence = token.type === 'operator' ? ARITHMETIC_PRECEDENCE[token.value] : undefined;
+    if (precedence === undefined || precedence < minPrecedence) {
+      break;
     }
+    parser.pos++;
+    const rightStart = parser.tokens[parser.pos] ? parser.tokens[parser.pos].start : parser.expression.length;
     
-    // Handle history builtin
-    if (cmd === "history") {
-      const result = executeBuiltin(cmd, cmdArgs);
-      if (result.output) {
-        process.stdout.write(result.output);
+    if (token.value === '&&' || token.value === '||') {
+      // The right side is only evaluated if it decides the result
+      const decided = token.value === '&&' ? left === 0n : left !== 0n;
+      if (decided) parser.skip++;
+      const right = parseArithmeticBinary(parser, precedence + 1);
+      if (decided) parser.skip--;
+      if (token.value === '&&') {
+        left = left !== 0n && right !== 0n ? 1n : 0n;
+      } else {
+        left = left !== 0n || right !== 0n ? 1n : 0n;
       }
-      lastExitCode = result.exitCode;
-      repl();
-      return;
+      continue;
     }
     
-    // Handle cd builtin
-    if (cmd === "cd") {
-      const result = executeBuiltin(cmd, cmdArgs);
-      if (result.output) {
-        process.stdout.write(result.output);
+    const nextPrecedence = token.value === '**' ? precedence : precedence + 1;
+    const right = parseArithmeticBinary(parser, nextPrecedence);
+    left = applyArithmeticOperator(parser, token.value, left, right, rightStart);
+  }
+  
+  return left;
+}
+
+// Unary operators: + - ! ~ and prefix ++/--
+function parseArithmeticUnary(parser) {
+  const token = parser.tokens[parser.pos];
+  if (token && token.type === 'operator') {
+    if (token.value === '++' || token.value === '--') {
+      parser.pos++;
+      const name = parser.tokens[parser.pos];
+      if (!name || name.type !== 'name') {
+        throw arithmeticSyntaxError(parser);
       }
-      lastExitCode = result.exitCode;
-      repl();
-      return;
+      parser.pos++;
+      const delta = token.value === '++' ? 1n : -1n;
+      return setArithmeticVariable(parser, name.value, BigInt.asIntN(64, getArithmeticVariable(name.value) + delta));
     }
-    
-    // Handle source builtin
-    if (cmd === "source") {
-      const result = executeBuiltin(cmd, cmdArgs);
-      if (result.output) {
-        process.stdout.write(result.output);
-      }
-      lastExitCode = result.exitCode;
-      repl();
-      return;
+    if (['-', '+', '!', '~'].includes(token.value)) {
+      parser.pos++;
+      const value = parseArithmeticUnary(parser);
+      if (token.value === '-') return BigInt.asIntN(64, -value);
+      if (token.value === '!') return value === 0n ? 1n : 0n;
+      if (token.value === '~') return ~value;
+      return value;
     }
-    
-    // Handle jobs builtin
-    if (cmd === "jobs") {
-      const result = executeBuiltin(cmd, cmdArgs);
-      if (result.output) {
-        process.stdout.write(result.output);
-      }
-      lastExitCode = result.exitCode;
-      repl();
-      return;
+  }
+  return parseArithmeticPrimary(parser);
+}
+
+// Numbers, variables (with postfix ++/--) and parenthesized expressions
+function parseArithmeticPrimary(parser) {
+  const token = parser.tokens[parser.pos];
+  if (!token) {
+    throw arithmeticSyntaxError(parser);
+  }
+  
+  if (token.type === 'number') {
+    parser.pos++;
+    return token.value;
+  }
+  
+  if (token.type === 'name') {
+    parser.pos++;
+    const value = getArithmeticVariable(token.value);
+    if (isArithmeticOperator(parser, '++') || isArithmeticOperator(parser, '--')) {
+      const delta = parser.tokens[parser.pos].value === '++' ? 1n : -1n;
+      parser.pos++;
+      setArithmeticVariable(parser, token.value, BigInt.asIntN(64, value + delta));
     }
-    
-    // Handle fg builtin
-    if (cmd === "fg") {
-      const result = executeBuiltin(cmd, cmdArgs);
-      if (result.output) {
-        process.stdout.write(result.output);
-      }
-      lastExitCode = result.exitCode;
-      repl();
-      return;
+    return value;
+  }
+  
+  if (token.value === '(') {
+    parser.pos++;
+    const value = parseArithmeticComma(parser);
+    if (!isArithmeticOperator(parser, ')')) {
+      throw arithmeticError(`${parser.expression}: missing ')' (error token is "${arithmeticErrorToken(parser)}")`);
     }
+    parser.pos++;
+    return value;
+  }
+  
+  throw arithmeticSyntaxError(parser);
+}
+
+// Expand $VAR, ${VAR}, $1, $?, $((...)), $(...) and `...` in text that
+// isn't split into words: arithmetic expressions and here-document bodies.
+// Quotes are ordinary characters; a backslash only escapes $, `, \ and
+// newline.
+async function expandText(text) {
+  let result = '';
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
     
-    // Handle bg builtin
-    if (cmd === "bg") {
-      const result = executeBuiltin(cmd, cmdArgs);
-      if (result.output) {
-        process.stdout.write(result.output);
+    if (char === '\\' && i + 1 < text.length && '$`\\\n'.includes(text[i + 1])) {
+      if (text[i + 1] !== '\n') {
+        result += text[i + 1];
       }
-      lastExitCode = result.exitCode;
-      repl();
-      return;
+      i++;
+      continue;
     }
     
-    // Handle alias builtin
-    if (cmd === "alias") {
-      const result = executeBuiltin(cmd, cmdArgs);
-      if (result.output) {
-        process.stdout.write(result.output);
+    if (char === '`') {
+      const end = findClosingBacktick(text, i + 1);
+      if (end !== -1) {
+        const inner = text.slice(i + 1, end).replace(/\\([\\`$])/g, '$1');
+        result += await executeCommandSubstitution(inner);
+        i = end;
+        continue;
       }
-      lastExitCode = result.exitCode;
-      repl();
-      return;
     }
     
-    // Handle unalias builtin
-    if (cmd === "unalias") {
-      const result = executeBuiltin(cmd, cmdArgs);
-      if (result.output) {
-        process.stdout.write(result.output);
+    if (char === '$') {
+      if (text.startsWith('$((', i)) {
+        const end = findClosingParen(text, i + 3);
+        if (end !== -1 && text[end + 1] === ')') {
+          result += String(await evaluateArithmeticExpansion(text.slice(i + 3, end), true));
+          i = end + 1;
+          continue;
+        }
       }
-      lastExitCode = result.exitCode;
-      repl();
-      return;
-    }
-    
-    // Try to execute as external program
-    const executablePath = findExecutable(cmd);
-    if (executablePath) {
-      // Execute the external program
-      const spawnOptions = {
-        argv0: cmd, // Set argv[0] to program name, not full path
-        detached: isBackground, // Detach if background job
-      };
-      
-      // Handle I/O redirection
-      if (outputFile || errorFile || inputFile) {
-        try {
-          const stdinFd = inputFile ? fs.openSync(inputFile, 'r') : 'inherit';
-          const stdoutFd = outputFile ? fs.openSync(outputFile, outputAppend ? 'a' : 'w') : 'inherit';
-          const stderrFd = errorFile ? fs.openSync(errorFile, errorAppend ? 'a' : 'w') : 'inherit';
-          spawnOptions.stdio = [stdinFd, stdoutFd, stderrFd]; // stdin, stdout, stderr
-          
-          if (isBackground) {
-            // Spawn background process
-            const proc = spawn(executablePath, cmdArgs, spawnOptions);
-            const job = addJob(command, proc, true);
-            console.log(`[${job.id}] ${proc.pid}`);
-            
-            // Don't wait for background jobs
-            proc.unref();
-            
-            // Monitor job completion
-            proc.on('exit', () => {
-              job.state = JOB_DONE;
-            });
-            
-            // Close file descriptors
-            if (typeof stdinFd === 'number') fs.closeSync(stdinFd);
-            if (typeof stdoutFd === 'number') fs.closeSync(stdoutFd);
-            if (typeof stderrFd === 'number') fs.closeSync(stderrFd);
-          } else {
-            // Foreground execution
-            const result = spawnSync(executablePath, cmdArgs, spawnOptions);
-            lastExitCode = result.status !== null ? result.status : 1;
-            
-            // Close file descriptors if they were opened
-            if (typeof stdinFd === 'number') fs.closeSync(stdinFd);
-            if (typeof stdoutFd === 'number') fs.closeSync(stdoutFd);
-            if (typeof stderrFd === 'number') fs.closeSync(stderrFd);
-          }
-        } catch (err) {
-          console.error(`${cmd}: ${err.message}`);
-          lastExitCode = 1;
+      if (text.startsWith('$(', i)) {
+        const end = findClosingCommandParen(text, i + 2);
+        if (end !== -1) {
+          result += await executeCommandSubstitution(text.slice(i + 2, end));
+          i = end;
+          continue;
         }
-      } else {
-        if (isBackground) {
-          // Background job without redirection
-          spawnOptions.stdio = "inherit";
-          const proc = spawn(executablePath, cmdArgs, spawnOptions);
-          const job = addJob(command, proc, true);
-          console.log(`[${job.id}] ${proc.pid}`);
-          
-          // Don't wait for background jobs
-          proc.unref();
-          
-          // Monitor job completion
-          proc.on('exit', () => {
-            job.state = JOB_DONE;
-          });
-          // Background jobs don't update lastExitCode immediately
-          lastExitCode = 0;
-        } else {
-          // Foreground execution
-          spawnOptions.stdio = "inherit";
-          const result = spawnSync(executablePath, cmdArgs, spawnOptions);
-          lastExitCode = result.status !== null ? result.status : 1;
+      }
+      if (text[i + 1] === '{') {
+        const end = findClosingBrace(text, i + 2);
+        if (end !== -1) {
+          result += await expandParameterExpression(text.slice(i + 2, end), true);
+          i = end;
+          continue;
         }
       }
-      
-      repl();
-      return;
+      if (text[i + 1] === '?') {
+        result += String(shell().lastExitCode);
+        i++;
+        continue;
+      }
+      if (text[i + 1] !== undefined && /[0-9#*@!-]/.test(text[i + 1])) {
+        result += getExpansionValue(text[i + 1]);
+        i++;
+        continue;
+      }
+      const name = text.slice(i + 1).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+      if (name) {
+        result += getExpansionValue(name[0]);
+        i += name[0].length;
+        continue;
+      }
     }
     
-    // Command not found
-    console.log(`${cmd}: command not found`);
-    lastExitCode = 127; // Command not found exit code
-    repl(); // Loop back to prompt for next command
-  });
+    result += char;
+  }
+  
+  return result;
 }
 
-// Load history from HISTFILE on startup
-if (process.env.HISTFILE) {
+// Evaluate the text of $((...)) or ((...)) after expanding parameters and
+// command substitutions. Errors are turned into expansion errors; in
+// $((...)) (fatal) they exit a script, as ${VAR:?} does.
+async function evaluateArithmeticExpansion(text, fatal = false) {
   try {
-    const fileContent = fs.readFileSync(process.env.HISTFILE, 'utf8');
-    const lines = fileContent.split('\n');
-    for (const line of lines) {
-      if (line.trim()) {
-        commandHistory.push(line);
-      }
-    }
-    // Mark these commands as already written (so history -a doesn't duplicate them)
-    lastWrittenIndex = commandHistory.length;
+    return evaluateArithmetic(await expandText(text));
   } catch (err) {
-    // File doesn't exist or can't be read, start with empty history
+    if (!err.arithmetic) {
+      throw err;
+    }
+    const expansionErr = expansionError(err.message);
+    expansionErr.fatal = fatal;
+    throw expansionErr;
   }
 }
 
-// Split command line by semicolons (respecting quotes)
-function splitBySemicolon(commandLine) {
-  const commands = [];
-  let currentCommand = '';
-  let inSingleQuote = false;
-  let inDoubleQuote = false;
-  let escaped = false;
-  
-  for (let i = 0; i < commandLine.length; i++) {
-    const char = commandLine[i];
-    
-    if (escaped) {
-      currentCommand += char;
-      escaped = false;
-      continue;
-    }
-    
-    if (char === '\\' && !inSingleQuote) {
-      escaped = true;
-      currentCommand += char;
-      continue;
-    }
-    
-    if (char === "'" && !inDoubleQuote) {
-      inSingleQuote = !inSingleQuote;
-      currentCommand += char;
-    } else if (char === '"' && !inSingleQuote) {
-      inDoubleQuote = !inDoubleQuote;
-      currentCommand += char;
-    } else if (char === ';' && !inSingleQuote && !inDoubleQuote) {
-      if (currentCommand.trim()) {
-        commands.push(currentCommand.trim());
-      }
-      currentCommand = '';
-    } else {
-      currentCommand += char;
-    }
+// Create an expansion error: the command is not run and its status is 1
+function expansionError(message) {
+  const err = new Error(message);
+  err.expansion = true;
+  return err;
+}
+
+// Report an expansion error on stderr and return the exit status (1);
+// any other error is rethrown. Fatal errors like ${VAR:?} exit a script.
+function reportExpansionError(err, prefix = '') {
+  if (!err.expansion) {
+    throw err;
   }
-  
-  if (currentCommand.trim()) {
-    commands.push(currentCommand.trim());
+  writeToFd(currentStdio()[2], `${prefix}${err.message}\n`);
+  if (err.fatal && scriptFile) {
+    throw { exitShell: true, status: 1 };
   }
-  
-  return commands;
+  return 1;
 }
 
-// Execute multiple commands sequentially (for REPL with semicolons)
-function executeCommandsSequentially(commands, index) {
-  if (index >= commands.length) {
-    repl();
-    return;
+// Run a simple command: expand its words, then run it with its
+// redirections applied and its assignments exported to it only. Without
+// a command name the assignments stay set.
+async function executeSimpleCommand(statement) {
+  shell().lastSubstitutionStatus = null;
+  let args;
+  try {
+    args = await expandWords(statement.words);
+  } catch (err) {
+    return reportExpansionError(err);
   }
   
-  let command = commands[index];
-  
-  // Expand braces
-  command = expandBracesInCommand(command);
-  
-  // Expand aliases
-  command = expandAliases(command);
-  
-  // Check for background job (ends with &)
-  let isBackground = command.trim().endsWith('&');
-  let cleanCommand = isBackground ? command.trim().slice(0, -1).trim() : command;
+  if (args.length === 0) {
+    // The status is that of the last command substitution, as in $(false)
+    let status = shell().lastSubstitutionStatus === null ? 0 : shell().lastSubstitutionStatus;
+    if (statement.assignments.length > 0) {
+      status = await executeAssignments(statement.assignments);
+    }
+    // Redirections are still performed (> file creates file)
+    return withRedirections(statement.redirections, async () => status);
+  }
   
-  // Check for variable assignment (VAR=value)
-  const varAssignMatch = cleanCommand.match(/^([A-Za-z_][A-Za-z0-9_]*)=(.*)$/);
-  if (varAssignMatch) {
-    const varName = varAssignMatch[1];
-    const varValue = varAssignMatch[2];
-    const parsed = parseCommand(varValue);
-    const expandedValue = parsed.args.join(' ');
-    process.env[varName] = expandedValue;
-    lastExitCode = 0;
-    executeCommandsSequentially(commands, index + 1);
+  return withTemporaryAssignments(statement.assignments, async () => {
+    await traceCommand(args.map(quoteShellValue));
+    return withRedirections(statement.redirections, () => runCommand(args, formatCommandLine(statement)[0]));
+  });
+}
+
+// With set -x, print a command about to run (its words expanded and
+// quoted as needed) on standard error after the expanded PS4
+async function traceCommand(words) {
+  if (!shell().options.xtrace) {
     return;
   }
-  
-  // Check for pipeline
-  if (cleanCommand.includes('|')) {
-    const pipeCommands = cleanCommand.split('|');
-    if (executePipeline(pipeCommands)) {
-      // Pipeline is async, so we need to modify executePipeline to call callback
-      // For now, skip to next command after a short delay (not ideal but works)
-      setTimeout(() => executeCommandsSequentially(commands, index + 1), 100);
-      return;
+  // Commands run while expanding PS4 aren't traced themselves
+  shell().options.xtrace = false;
+  let prefix = getVariable('PS4') || '';
+  try {
+    prefix = await expandText(prefix);
+  } catch (err) {
+    if (!err.expansion) {
+      throw err;
     }
+  } finally {
+    shell().options.xtrace = true;
   }
+  writeToFd(currentStdio()[2], `${prefix}${words.join(' ')}\n`);
+}
+
+// Run a command by name: a function, builtin or program from PATH, with
+// the current fd table. text describes the command if it becomes a job.
+async function runCommand(args, text = args.join(' ')) {
+  const cmd = args[0];
+  const cmdArgs = args.slice(1);
+  const stdio = currentStdio();
   
-  // Parse the command
-  const parsed = parseCommand(cleanCommand);
-  const args = parsed.args;
+  // Functions are found before builtins and PATH
+  if (shell().functions.has(cmd)) {
+    return callFunction(cmd, cmdArgs);
+  }
   
-  if (args.length === 0) {
-    executeCommandsSequentially(commands, index + 1);
-    return;
+  if (isBuiltin(cmd)) {
+    const result = await executeBuiltin(cmd, cmdArgs);
+    let error = result.error || '';
+    let status = result.exitCode;
+    // Output that can't be written (a closed fd, a full disk) fails the
+    // builtin
+    const writeError = writeToFd(stdio[1], result.output || '');
+    if (writeError) {
+      error += `${cmd}: write error: ${writeError}\n`;
+      status = 1;
+    }
+    await waitForDrain(stdio[1]);
+    writeToFd(stdio[2], error);
+    return status;
   }
   
-  const cmd = args[0];
-  const cmdArgs = args.slice(1);
+  const executablePath = findExecutable(cmd);
+  if (!executablePath) {
+    writeToFd(stdio[2], `${cmd}: command not found\n`);
+    return 127;
+  }
   
-  // Handle exit
-  if (cmd === 'exit') {
-    if (process.env.HISTFILE) {
-      try {
-        const content = commandHistory.join('\n') + '\n';
-        fs.writeFileSync(process.env.HISTFILE, content, 'utf8');
-      } catch (err) {
-        // Ignore
-      }
+  return waitForProcess(spawnProgram(executablePath, cmd, cmdArgs, stdio), cmd, text);
+}
+
+// Start a program with an fd table. Stream entries are connected through
+// pipes: the program reads fd 0's stream and writes to the others. In a
+// background job the program is added to the job.
+function spawnProgram(executablePath, name, args, stdio) {
+  const job = shell().job;
+  const proc = spawn(executablePath, args, {
+    argv0: name,
+    cwd: shell().cwd,
+    env: childEnvironment(),
+    stdio: toSpawnStdio(stdio),
+    detached: job !== null && job.detached,
+  });
+  if (job) {
+    addJobProcess(job, proc);
+    if (job.state === JOB_STOPPED) {
+      signalJob(job, 'SIGSTOP');
     }
-    process.exit(0);
   }
-  
-  // Execute builtin or external command
-  if (isBuiltin(cmd)) {
-    const result = executeBuiltin(cmd, cmdArgs);
-    if (result.output) {
-      process.stdout.write(result.output);
+  stdio.forEach((entry, fd) => {
+    if (!isStreamEntry(entry) || !proc.stdio[fd]) {
+      return;
     }
-    lastExitCode = result.exitCode;
-    executeCommandsSequentially(commands, index + 1);
-  } else {
-    // External command
-    const executablePath = findExecutable(cmd);
-    if (executablePath) {
-      const spawnOptions = {
-        argv0: cmd,
-        stdio: 'inherit',
-      };
-      
-      if (isBackground) {
-        const proc = spawn(executablePath, cmdArgs, spawnOptions);
-        const job = addJob(cleanCommand, proc, true);
-        console.log(`[${job.id}] ${proc.pid}`);
-        proc.unref();
-        proc.on('exit', () => {
-          job.state = JOB_DONE;
-        });
-        lastExitCode = 0;
-      } else {
-        const result = spawnSync(executablePath, cmdArgs, spawnOptions);
-        lastExitCode = result.status !== null ? result.status : 1;
-      }
-      executeCommandsSequentially(commands, index + 1);
+    if (fd === 0) {
+      proc.stdin.on('error', () => {
+        // The program exited without reading all of its input
+      });
+      entry.pipe(proc.stdin);
+      proc.on('exit', () => entry.unpipe(proc.stdin));
     } else {
-      console.log(`${cmd}: command not found`);
-      lastExitCode = 127;
-      executeCommandsSequentially(commands, index + 1);
+      proc.stdio[fd].pipe(entry, { end: false });
+      // When nothing reads the pipe any more the program gets SIGPIPE
+      entry.on('close', () => {
+        if (proc.exitCode === null && proc.signalCode === null) {
+          proc.kill('SIGPIPE');
+        }
+        proc.stdio[fd].destroy();
+      });
     }
-  }
+  });
+  return proc;
 }
 
-// Execute a single command and return exit code
-function executeCommand(command) {
-  if (!command.trim()) return 0;
-  
-  // Expand braces
-  command = expandBracesInCommand(command);
-  
-  // Expand aliases
-  command = expandAliases(command);
-  
-  // Check for variable assignment (VAR=value)
-  const varAssignMatch = command.match(/^([A-Za-z_][A-Za-z0-9_]*)=(.*)$/);
-  if (varAssignMatch) {
-    const varName = varAssignMatch[1];
-    const varValue = varAssignMatch[2];
-    const parsed = parseCommand(varValue);
-    const expandedValue = parsed.args.join(' ');
-    process.env[varName] = expandedValue;
-    return 0;
+// Programs and jobs the shell is waiting for in the foreground, each
+// { proc, text, group, stage, job, finish } (see stopForegroundJobs)
+const foregroundWaits = new Set();
+
+// Wait for a program to finish and return its exit status (128 plus the
+// signal number if a signal ended it). If Ctrl-Z stops it first, it
+// becomes a stopped job described by text, or joins the job of the rest
+// of its pipeline, and the status is 128 + SIGTSTP. A background job's
+// programs are left to the job.
+function waitForProcess(proc, name, text = name) {
+  return new Promise((resolve) => {
+    const wait = {
+      proc,
+      text,
+      group: shell().foregroundGroup,
+      stage: shell().pipelineStage,
+      job: null,
+      finish: (status) => {
+        foregroundWaits.delete(wait);
+        resolve(status);
+      },
+    };
+    if (!shell().job) {
+      foregroundWaits.add(wait);
+    }
+    proc.on('error', (err) => {
+      writeToFd(currentStdio()[2], `${name}: ${err.message}\n`);
+      wait.finish(126);
+    });
+    proc.on('close', (code, signal) => {
+      wait.finish(code !== null ? code : 128 + (os.constants.signals[signal] || 0));
+    });
+  });
+}
+
+// Wait for a job resumed by fg to finish and return its status, or 128 +
+// SIGTSTP if Ctrl-Z stops it again
+function waitForJob(job) {
+  return new Promise((resolve) => {
+    const wait = {
+      proc: null,
+      text: job.command,
+      group: null,
+      stage: 0,
+      job,
+      finish: (status) => {
+        foregroundWaits.delete(wait);
+        resolve(status);
+      },
+    };
+    foregroundWaits.add(wait);
+    job.finished.then(wait.finish);
+  });
+}
+
+// Check whether a process is stopped. Without /proc to look at, a stop
+// signal is assumed to have worked.
+function isProcessStopped(proc) {
+  if (proc.exitCode !== null || proc.signalCode !== null) {
+    return false;
   }
-  
-  // Check for pipeline
-  if (command.includes('|')) {
-    const commands = command.split('|');
-    // For scripts, we need to execute pipeline synchronously
-    // This is a simplified version - full implementation would need refactoring
-    return executePipelineSync(commands);
+  try {
+    const stat = fs.readFileSync(`/proc/${proc.pid}/stat`, 'utf8');
+    const state = stat.slice(stat.lastIndexOf(')') + 2)[0];
+    return state === 'T' || state === 't';
+  } catch (err) {
+    return true;
   }
-  
-  // Parse the command
-  const parsed = parseCommand(command);
-  const args = parsed.args;
-  const outputFile = parsed.outputFile;
-  const outputAppend = parsed.outputAppend;
-  const errorFile = parsed.errorFile;
-  const errorAppend = parsed.errorAppend;
-  const inputFile = parsed.inputFile;
-  
-  if (args.length === 0) return 0;
-  
-  const cmd = args[0];
-  const cmdArgs = args.slice(1);
-  
-  // Handle exit specially - should terminate the script
-  if (cmd === 'exit') {
-    const exitCode = cmdArgs[0] ? parseInt(cmdArgs[0]) : 0;
-    process.exit(exitCode);
+}
+
+// Handle Ctrl-Z while programs run in the foreground: the programs that
+// stop become a stopped job (one per pipeline), reported like
+// "[1]+  Stopped  sleep 10", and the shell stops waiting for them.
+// Programs in the shell's process group get SIGTSTP from the terminal
+// and may ignore it. A detached job resumed with fg is sent SIGSTOP, as
+// the system discards SIGTSTP for a process group with no parent in its
+// session.
+function stopForegroundJobs() {
+  const waits = Array.from(foregroundWaits);
+  for (const wait of waits) {
+    if (wait.job && wait.job.detached) {
+      signalJob(wait.job, 'SIGSTOP');
+    }
   }
   
-  // Handle builtins
-  if (isBuiltin(cmd)) {
-    const result = executeBuiltin(cmd, cmdArgs);
-    
-    // Handle output redirection for builtins
-    if (outputFile) {
-      try {
-        if (outputAppend) {
-          fs.appendFileSync(outputFile, result.output);
-        } else {
-          fs.writeFileSync(outputFile, result.output);
+  // Give the programs a moment to stop
+  let attempts = 0;
+  const check = () => {
+    for (const wait of waits.slice()) {
+      if (!foregroundWaits.has(wait)) {
+        waits.splice(waits.indexOf(wait), 1);
+        continue;
+      }
+      if (!(wait.job ? isJobStopped(wait.job) : isProcessStopped(wait.proc))) {
+        continue;
+      }
+      waits.splice(waits.indexOf(wait), 1);
+      let job = wait.job;
+      if (!job) {
+        job = wait.group && jobs.find(other => other.group === wait.group);
+        if (!job) {
+          job = addJob(wait.group ? wait.group.text : wait.text, false);
+          job.group = wait.group;
         }
-      } catch (err) {
-        process.stderr.write(`${cmd}: ${outputFile}: ${err.message}\n`);
-        return 1;
+        addJobProcess(job, wait.proc);
+        // Its programs may stop in any order: keep them in pipeline order,
+        // so that the job ends with the status of the last command
+        job.stages.set(wait.proc, wait.stage);
+        job.processes.sort((a, b) => job.stages.get(a) - job.stages.get(b));
+        job.pid = job.processes[0].pid;
       }
-    } else {
-      process.stdout.write(result.output);
+      if (job.state !== JOB_STOPPED) {
+        job.state = JOB_STOPPED;
+        job.used = ++jobUseCount;
+        process.stdout.write('\n' + formatJob(job));
+      }
+      wait.finish(128 + os.constants.signals.SIGTSTP);
+    }
+    if (waits.length > 0 && ++attempts < 50) {
+      setTimeout(check, 10);
+    }
+  };
+  check();
+}
+
+// Pass a terminal signal (Ctrl-C) on to detached jobs that fg resumed
+function signalForegroundJobs(signal) {
+  for (const wait of foregroundWaits) {
+    if (wait.job && wait.job.detached) {
+      signalJob(wait.job, signal);
     }
-    
-    return result.exitCode;
   }
+}
+
+// Background jobs that run only shell code get process IDs above any a
+// real process can have (Linux's pid_max is at most 2^22)
+const SHELL_JOB_PID_BASE = 4194304;
+let shellJobPidCount = 0;
+
+// Run a command ended by & as a background job: a copy of the shell runs
+// it while the shell goes on, and the programs it starts belong to the
+// job. Its standard input is /dev/null unless it redirects it. The job
+// is reported as "[1] 12345" once it has started its first program.
+async function executeBackgroundStatement(statement) {
+  const job = addJob(statement.text, true);
+  job.inShell = true;
+  job.running++;
   
-  // Try to execute as external program
-  const executablePath = findExecutable(cmd);
-  if (executablePath) {
-    const spawnOptions = {
-      argv0: cmd,
-    };
-    
-    // Handle I/O redirection
-    if (outputFile || errorFile || inputFile) {
-      try {
-        const stdinFd = inputFile ? fs.openSync(inputFile, 'r') : 'inherit';
-        const stdoutFd = outputFile ? fs.openSync(outputFile, outputAppend ? 'a' : 'w') : 'inherit';
-        const stderrFd = errorFile ? fs.openSync(errorFile, errorAppend ? 'a' : 'w') : 'inherit';
-        spawnOptions.stdio = [stdinFd, stdoutFd, stderrFd];
-        
-        const result = spawnSync(executablePath, cmdArgs, spawnOptions);
-        
-        if (typeof stdinFd === 'number') fs.closeSync(stdinFd);
-        if (typeof stdoutFd === 'number') fs.closeSync(stdoutFd);
-        if (typeof stderrFd === 'number') fs.closeSync(stderrFd);
-        
-        return result.status !== null ? result.status : 1;
-      } catch (err) {
-        process.stderr.write(`${cmd}: ${err.message}\n`);
-        return 1;
-      }
-    } else {
-      spawnOptions.stdio = 'inherit';
-      const result = spawnSync(executablePath, cmdArgs, spawnOptions);
-      return result.status !== null ? result.status : 1;
-    }
+  const stdio = currentStdio().slice();
+  const opened = [];
+  if (stdio[0] === 0) {
+    stdio[0] = fs.openSync('/dev/null', 'r');
+    opened.push(stdio[0]);
   }
+  withStdio(stdio, () => runInSubshell(() => {
+    shell().job = job;
+    return executeStatement(statement.command);
+  })).catch((err) => {
+    // An error escaping the job ends the job, not the shell
+    writeToFd(stdio[2], `${shellName}: ${err && err.message ? err.message : err}\n`);
+    return 1;
+  }).then((status) => {
+    closeFds(opened);
+    job.status = status;
+    completeJobPart(job);
+  });
   
-  // Command not found
-  process.stderr.write(`${cmd}: command not found\n`);
-  return 127;
+  await new Promise(resolve => setImmediate(resolve));
+  // A job that hasn't started a program (a function, a subshell, a
+  // builtin) still needs an ID for $!, wait and kill
+  if (job.pid === null) {
+    job.pid = SHELL_JOB_PID_BASE + ++shellJobPidCount;
+  }
+  shell().lastBackgroundPid = job.pid;
+  // Only an interactive shell reports the job, on stderr
+  if (rl) {
+    writeToFd(currentStdio()[2], `[${job.id}] ${job.pid}\n`);
+  }
+  return 0;
 }
 
-// Execute pipeline synchronously (for scripts)
-function executePipelineSync(commands) {
-  // Simplified pipeline execution - just execute last command for now
-  // Full implementation would require piping between commands
-  if (commands.length === 0) return 0;
-  
-  const lastCommand = commands[commands.length - 1].trim();
-  return executeCommand(lastCommand);
+// Parse and run shell source (a script or sourced file) one line at a
+// time. A syntax error is reported with its line number and stops it;
+// returns false in that case.
+async function executeSource(content, name) {
+  const parser = createParser(content);
+  for (;;) {
+    const start = parser.lexer.pos;
+    let statements;
+    try {
+      statements = parseNextLine(parser);
+    } catch (err) {
+      if (!err.syntax) {
+        throw err;
+      }
+      writeToFd(currentStdio()[2], `${name}: line ${err.line || parser.lexer.line}: ${err.message}\n`);
+      shell().lastExitCode = 2;
+      return false;
+    }
+    if (statements === null) {
+      return true;
+    }
+    // set -v echoes the lines just read
+    if (shell().options.verbose) {
+      writeToFd(currentStdio()[2], parser.lexer.input.slice(start, parser.lexer.pos).replace(/\n?$/, '\n'));
+    }
+    await executeStatements(statements);
+  }
 }
 
 // Execute a script file
-function executeScriptFile(scriptPath) {
+async function executeScriptFile(scriptPath) {
+  let content;
   try {
-    const content = fs.readFileSync(scriptPath, 'utf8');
-    const lines = content.split('\n');
-    
-    for (const line of lines) {
-      const trimmedLine = line.trim();
-      
-      // Skip empty lines and comments
-      if (!trimmedLine || trimmedLine.startsWith('#')) {
-        continue;
-      }
-      
-      // Split by semicolons
-      const commands = splitBySemicolon(trimmedLine);
-      
-      for (const command of commands) {
-        const exitCode = executeCommand(command);
-        lastExitCode = exitCode;
-        
-        // If command failed and we want to stop on error, we could do that here
-        // For now, continue executing all commands like bash does by default
-      }
-    }
-    
-    // Exit with the last command's exit code
-    process.exit(lastExitCode);
+    content = fs.readFileSync(scriptPath, 'utf8');
   } catch (err) {
     if (err.code === 'ENOENT') {
       process.stderr.write(`${scriptPath}: No such file or directory\n`);
@@ -1904,11 +7123,25 @@ function executeScriptFile(scriptPath) {
     }
     process.exit(1);
   }
+  
+  // Commands run until the end of the script, an exit, a syntax error or
+  // (with set -e) a failing command
+  try {
+    await executeSource(content, scriptPath);
+  } catch (err) {
+    if (!err.exitShell) {
+      throw err;
+    }
+    await exitShell(err.status);
+  }
+  
+  // Exit with the last command's exit code
+  await exitShell(shell().lastExitCode);
 }
 
 // Load profile files on startup
-function loadProfileFiles() {
-  const homeDir = process.env.HOME;
+async function loadProfileFiles() {
+  const homeDir = getVariable('HOME');
   if (!homeDir) return;
   
   // Try loading profile files in order
@@ -1919,20 +7152,73 @@ function loadProfileFiles() {
   
   for (const profileFile of profileFiles) {
     if (fs.existsSync(profileFile)) {
-      executeFile(profileFile);
+      await executeFile(profileFile);
       break; // Only load first found profile file
     }
   }
 }
 
-loadProfileFiles();
+// The script given on the command line, or null when interactive
+let scriptFile = null;
 
-// Check if a script file is provided as an argument
-const scriptFile = process.argv[2];
-if (scriptFile) {
-  // Execute the script file
-  executeScriptFile(scriptFile);
-} else {
-  // Start the REPL
-  repl();
+// Load the profile, then run the script or start the REPL. The command
+// line takes options as set does (-eux, -o pipefail) before the script
+// and its arguments; they apply after the profile.
+async function main() {
+  try {
+    await loadProfileFiles();
+  } catch (err) {
+    if (!err.exitShell) {
+      throw err;
+    }
+    await exitShell(err.status);
+  }
+  
+  const args = process.argv.slice(2);
+  const { used, result } = applyShellOptions(args, shellName);
+  if (result) {
+    process.stdout.write(result.output || '');
+    process.stderr.write(result.error || '');
+    if (result.exitCode !== 0) {
+      process.exit(result.exitCode);
+    }
+  }
+  const index = args[used] === '--' ? used + 1 : used;
+  scriptFile = args[index] === undefined ? null : args[index];
+  
+  if (scriptFile) {
+    // Execute the script file with the remaining arguments as $1, $2, ...
+    shellName = scriptFile;
+    shell().positionalParams = args.slice(index + 1);
+    await executeScriptFile(scriptFile);
+  } else {
+    rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+      completer: completer,
+      prompt: '$ ',
+    });
+    // Ctrl-C while a command runs interrupts the command, not the shell,
+    // and Ctrl-Z stops it (but is ignored at the prompt). The shell
+    // handles the other signals it catches as receiveSignal describes.
+    process.on('SIGINT', () => {
+      signalForegroundJobs('SIGINT');
+      receiveSignal('SIGINT');
+    });
+    for (const name of INTERACTIVE_SIGNALS.filter(name => name !== 'SIGINT')) {
+      process.on(name, () => receiveSignal(name));
+    }
+    process.on('SIGTSTP', stopForegroundJobs);
+    rl.on('SIGINT', interruptPrompt);
+    rl.on('SIGTSTP', () => {});
+    rl.on('close', endOfInput);
+    repl();
+  }
 }
+
+// An error nothing else handled is reported as the shell's own, not as a
+// Node stack trace
+main().catch((err) => {
+  process.stderr.write(`${shellName}: ${err && err.message ? err.message : err}\n`);
+  process.exit(1);
+});